@@ -35,7 +35,7 @@ to track tempo changes in the midi file.
 
 
 /*
-Description: This After Effects script reads a Standard MIDI file (.mid) and creates layers and keyframes corresponding to the notes and controllers in that MIDI file.
+Description: This After Effects script reads a Standard MIDI file (.mid, .midi, .kar or .rmi) and creates layers and keyframes corresponding to the notes and controllers in that MIDI file.
 ::
 */
 
@@ -50,7 +50,7 @@ Description: This After Effects script reads a Standard MIDI file (.mid) and cre
 	This ExtendScript library reads a Standard MIDI File (.mid) into memory, organizing the events
 	in a friendly manner suitable for a variety of purposes.
 	
-	This version only captures note events. Controller info is all lost.
+	This version captures note events, as well as controller, pitch bend and aftertouch changes.
 	
 	To use it, you create it with a file path, and read info out of the various notes array. Here:
 	
@@ -67,11 +67,25 @@ also
 
 	var tracks = m.tracks; // array with per-track goodies
 	var channels = m.channels; // array with per-channel goodies.
+
+	var channel = m.channels[0];
+	var controlChanges = channel.controlChanges; // array of CONTROL CHANGE events (cc.controller, cc.value)
+	var pitchBends = channel.pitchBends; // array of PITCH BEND events (bend.value is -8192 to 8191, 0 is centered)
+	var polyAftertouches = channel.polyAftertouches; // array of POLY AFTERTOUCH events (at.pitch, at.pressure)
+	var channelPressures = channel.channelPressures; // array of CHANNEL PRESSURE events (cp.pressure)
+	
+	m.applyPitchBendRange(2); // default range in semitones, for channels that don't set it through RPN 0
+	var semitones = pitchBends[0].semitones; // the bend in semitones, only set after applyPitchBendRange
+
+	var keySignatures = m.keySignatureMap; // array of KEY SIGNATURE changes (ks.sharpsFlats, ks.isMinor, ks.name)
+	var markers = m.markerMap; // array of MARKER events (ev.text, ev.trackIndex)
+	var cuePoints = m.cuePointMap; // array of CUE POINT events, same as markers
+	var lyrics = m.lyricMap; // array of LYRIC events, same as markers
+	var texts = m.textMap; // array of TEXT events, same as markers
 	
 	Future enhancements:
 	   • Write a MIDI file
 	   • Properly track tempo changes (implemented by PeaQew)
-	   • Keep controller & pitch bend changes
 	*/
 
 /*
@@ -82,8 +96,11 @@ also
 	note.time is the time in seconds
 	note.pitch
 	note.vel is 0 for note off.
+
+	With namesOnly, only the track and instrument names and the channels that play notes
+	(channel.hasNotes) are read, which is much faster for big files.
 	*/
-function MidiFile(filePath) {
+function MidiFile(filePath, namesOnly) {
     addMidiFileMethods(this);
 
     this.microsecondsPerQuarterNote = 500000;
@@ -93,20 +110,26 @@ function MidiFile(filePath) {
     this.timeSignatureHemiDemiSemiNotesPerQuarterNote = 8;
 
     this.filePath = filePath;
-    this.file = readFile(filePath);
+    this.file = unwrapRiffMidi(readFile(filePath));
     this.fileLength = this.file.length;
     this.isMidi = isMidi(this.file);
+    if (!this.isMidi)
+        throw new Error("This is not a Standard MIDI file, it doesn't start with an \"MThd\" header.");
+    if (this.fileLength < 14)
+        throw new Error("The file ends in the middle of its header.");
 
     this.format = this.getShort(8);
     this.trackCount = this.getShort(10);
     this.timeDivision = this.getShort(12);
-    if (this.timeDivision & 0x8000)
-        this.framesPerSecond = this.timeDivision & 0x7fff;
-    else
+    if (this.timeDivision & 0x8000) { // SMPTE, the upper byte is the negative frame rate and the lower byte the ticks per frame
+        this.framesPerSecond = 256 - (this.timeDivision >> 8);
+        if (this.framesPerSecond == 29)
+            this.framesPerSecond = 30000 / 1001; // 29.97 drop frame
+        this.ticksPerFrame = this.timeDivision & 0xff;
+        this.ticksPerSecond = this.framesPerSecond * this.ticksPerFrame;
+    } else
         this.ticksPerBeat = this.timeDivision; // more common.
-
-    if (midiWndw.halfSpeedCheckbox.value == true) // TODO: Find the reason for why some MIDI files appear to be at double speed
-        this.timeDivision /= 2;
+    this.smpteOffset = 0; // SMPTE time in seconds at which the tracks start
 
     this.chunkCount = 0;
     this.noteOns = 0;
@@ -118,44 +141,66 @@ function MidiFile(filePath) {
 
     this.tempoMap = new Array();
     this.timeSignatureMap = new Array();
+    this.keySignatureMap = new Array();
+    this.markerMap = new Array();
+    this.cuePointMap = new Array();
+    this.lyricMap = new Array();
+    this.textMap = new Array();
+
+    this.warnings = new Array(); // Problems that might lead to wrong results, shown before generating
 
     if (midiWndw.pb.isCanceled)
         return;
 
     // read the rest of the chunks.
-    var offset = 14;
+    var offset = 8 + this.getLong(4); // The header is 6 bytes long, but may be longer in future versions of the format
     currentTrack = 0;
-    while (offset < this.fileLength) {
+    while (offset + 8 <= this.fileLength) {
         var chunkType = this.file.substring(offset, offset + 4);
         var chunkLength = this.getLong(offset + 4);
         this.chunkCount++;
 
+        if (offset + 8 + chunkLength > this.fileLength) {
+            this.addWarning("The file ends in the middle of " + (chunkType == "MTrk" ? "track " + (currentTrack + 1) : "a \"" + chunkType + "\" chunk") + ", the rest of it is missing.");
+            chunkLength = this.fileLength - offset - 8;
+        }
+
         if (chunkType == "MTrk") {
-            var track = new Track();
+            var track = new Track(currentTrack);
             this.tracks.push(track);
             var previousStatus = 0;
             var chunkOffset = offset + 8;
             var chunkEnd = chunkOffset + chunkLength;
             var ticks = 0;
             var midiChannelPrefix = 0;
-            var seconds = 0;
             while (chunkOffset < chunkEnd) {
-                var partial = this.file.substring(chunkOffset, chunkEnd);
                 var delta = this.getVarVal(chunkOffset);
                 ticks += delta;
 
-                var beats = 0;
-                if (ticks && this.timeDivision && this.microsecondsPerQuarterNote) {
-                    var deltaSeconds = this.getTime(ticks);
-                    seconds = deltaSeconds;
-                    beats = ticks / this.timeDivision;
-                }
                 chunkOffset += this.getVarLen(chunkOffset);
+                if (chunkOffset >= chunkEnd) {
+                    this.addWarning("Track " + (currentTrack + 1) + " ends in the middle of an event.");
+                    break;
+                }
                 var status = this.file.charCodeAt(chunkOffset);
                 if (status & 0x80)
                     chunkOffset++;
-                else
+                else if (previousStatus)
                     status = previousStatus;
+                else {
+                    this.addWarning("Track " + (currentTrack + 1) + " contains data without a status byte, the rest of the track was skipped.");
+                    break;
+                }
+
+                var eventLength = this.getEventLength(status, chunkOffset);
+                if (eventLength == undefined) {
+                    this.addWarning("Track " + (currentTrack + 1) + " contains an unknown event (status 0x" + status.toString(16) + "), the rest of the track was skipped.");
+                    break;
+                }
+                if (chunkOffset + eventLength > chunkEnd) {
+                    this.addWarning("Track " + (currentTrack + 1) + " ends in the middle of an event.");
+                    break;
+                }
 
                 var statusTop = (status & 0xf0) >> 4;
                 var channel = (currentTrack) * 16 + (status & 0x0f);
@@ -164,16 +209,43 @@ function MidiFile(filePath) {
 
                 if (status == 0xff)
                     statusTop = status;
-                switch (statusTop) {
+                if (namesOnly && statusTop != 0xff) {
+                    if (statusTop == 9 && b2)
+                        this.findChannel(channel).hasNotes = true;
+                } else switch (statusTop) {
                     case 8: // note off
-                        this.addNote(seconds, beats, channel, b1, 0);
+                        this.addNote(ticks, channel, b1, 0);
                         break;
                     case 9: // note on (or note off if b2==0)
-                        this.addNote(seconds, beats, channel, b1, b2);
+                        this.addNote(ticks, channel, b1, b2);
+                        break;
+                    case 0xa: // poly aftertouch
+                        this.addPolyAftertouch(ticks, channel, b1, b2);
+                        break;
+                    case 0xb: // control change
+                        this.addControlChange(ticks, channel, b1, b2);
+                        break;
+                    case 0xd: // channel pressure
+                        this.addChannelPressure(ticks, channel, b1);
+                        break;
+                    case 0xe: // pitch bend, 14 bit value with LSB first
+                        this.addPitchBend(ticks, channel, ((b2 << 7) | b1) - 8192);
                         break;
                     case 0xff:
                         {
                             switch (b1) {
+                                case 0x01: // text
+                                    this.addTextEvent(this.textMap, ticks, this.getVarString(chunkOffset + 1), currentTrack);
+                                    break;
+                                case 0x05: // lyric
+                                    this.addTextEvent(this.lyricMap, ticks, this.getVarString(chunkOffset + 1), currentTrack);
+                                    break;
+                                case 0x06: // marker
+                                    this.addTextEvent(this.markerMap, ticks, this.getVarString(chunkOffset + 1), currentTrack);
+                                    break;
+                                case 0x07: // cue point
+                                    this.addTextEvent(this.cuePointMap, ticks, this.getVarString(chunkOffset + 1), currentTrack);
+                                    break;
                                 case 0x03: // track name
                                     trackName = this.getVarString(chunkOffset + 1);
                                     track.name = trackName;
@@ -187,10 +259,21 @@ function MidiFile(filePath) {
                                     midiChannelPrefix = this.getByte(chunkOffset + 2);
                                     break;
                                 case 0x51: // tempo
+                                    if (this.getVarVal(chunkOffset + 1) != 3 || this.getInt24(chunkOffset + 2) == 0) {
+                                        this.addWarning("Ignored an invalid tempo change in track " + (currentTrack + 1) + ".");
+                                        break;
+                                    }
                                     this.microsecondsPerQuarterNote = this.getInt24(chunkOffset + 2);
                                     this.addTempo(ticks, this.microsecondsPerQuarterNote);
+                                    track.tempoCount++;
                                     break;
                                 case 0x54: // smpte offset
+                                    var hourByte = this.getByte(chunkOffset + 2);
+                                    var smpteFrameRate = [24, 25, 30000 / 1001, 30][(hourByte >> 5) & 0x03];
+                                    this.smpteOffset = (hourByte & 0x1f) * 3600 +
+                                        this.getByte(chunkOffset + 3) * 60 +
+                                        this.getByte(chunkOffset + 4) +
+                                        (this.getByte(chunkOffset + 5) + this.getByte(chunkOffset + 6) / 100) / smpteFrameRate;
                                     break;
                                 case 0x58: // sig
                                     this.timeSignatureNumerator = this.getByte(chunkOffset + 2);
@@ -199,20 +282,35 @@ function MidiFile(filePath) {
                                     this.timeSignatureHemiDemiSemiNotesPerQuarterNote = this.getByte(chunkOffset + 5);
                                     this.addTimeSignatureAt(ticks, this.timeSignatureNumerator, this.timeSignatureDenominator, this.timeSignatureMetronomeInterval, this.timeSignatureHemiDemiSemiNotesPerQuarterNote);
                                     break;
+                                case 0x59: // key signature, number of sharps (positive) or flats (negative) and major (0) or minor (1)
+                                    var sharpsFlats = this.getByte(chunkOffset + 2);
+                                    if (sharpsFlats > 127)
+                                        sharpsFlats -= 256;
+                                    this.addKeySignature(ticks, sharpsFlats, this.getByte(chunkOffset + 3) == 1);
+                                    break;
                             }
                         }
                         break;
                 }
 
-                var eventLength = this.getEventLength(status, chunkOffset);
                 chunkOffset += eventLength;
-                previousStatus = status;
+                // Only channel messages can be continued with running status, system messages cancel it
+                previousStatus = status < 0xf0 ? status : 0;
             }
             currentTrack++;
         }
 
         offset += 8 + chunkLength;
     }
+    if (this.tracks.length < this.trackCount)
+        this.addWarning("The header announces " + this.trackCount + " tracks, but only " + this.tracks.length + " were found.");
+    if (namesOnly)
+        return;
+
+    // Tempo changes can be in any track, so the times can only be calculated once all of them are read
+    this.updateEventTimes();
+    this.checkTempoMap();
+
     // sort the event-bucket
     this.notes.sort(function(a, b) {
         return a.time - b.time;
@@ -223,44 +321,123 @@ function readFile(filePath) {
     var f = new File(filePath);
     f.encoding = "BINARY";
 
-    f.open("r");
+    if (!f.open("r"))
+        throw new Error("The file couldn't be opened.");
     var length = f.length;
     var result = f.read(length);
     f.close();
     return result;
 }
 
+// RIFF MIDI files (.rmi) wrap a Standard MIDI file in their "data" chunk.
+// Returns the Standard MIDI file inside, or the unchanged string if it isn't a RIFF MIDI file.
+function unwrapRiffMidi(s) {
+    if (s.substring(0, 4) != "RIFF" || s.substring(8, 12) != "RMID")
+        return s;
+
+    // RIFF uses little-endian sizes, unlike the rest of the MIDI file
+    function getLittleEndianLong(offset) {
+        return s.charCodeAt(offset) + s.charCodeAt(offset + 1) * 0x100 + s.charCodeAt(offset + 2) * 0x10000 + s.charCodeAt(offset + 3) * 0x1000000;
+    }
+
+    var offset = 12;
+    while (offset + 8 <= s.length) {
+        var chunkType = s.substring(offset, offset + 4);
+        var chunkLength = getLittleEndianLong(offset + 4);
+        if (chunkType == "data")
+            return s.substring(offset + 8, offset + 8 + chunkLength);
+        offset += 8 + chunkLength + (chunkLength % 2); // chunks are padded to an even length
+    }
+    throw new Error("This RIFF MIDI file doesn't contain a \"data\" chunk.");
+}
+
 function isMidi(s) {
     var h = s.substring(0, 4);
     var result = h == "MThd";
     return result;
 }
 
-// time in seconds
-function Note(time, beats, channel, pitch, vel) {
-    this.time = time;
-    this.beats = beats;
+// time in seconds. time and beats are calculated once the whole file is read
+function Note(tick, channel, pitch, vel) {
+    this.tick = tick;
+    this.time = 0;
+    this.beats = 0;
     this.channel = channel;
     this.pitch = pitch;
     this.vel = vel;
 }
 
+// Represents a controller change (e.g. 64 is the sustain pedal). time in seconds
+function ControlChange(tick, channel, controller, value) {
+    this.tick = tick;
+    this.time = 0;
+    this.beats = 0;
+    this.channel = channel;
+    this.controller = controller;
+    this.value = value;
+}
+
+// Represents a pitch bend. value ranges from -8192 to 8191, 0 means no bend. time in seconds
+function PitchBend(tick, channel, value) {
+    this.tick = tick;
+    this.time = 0;
+    this.beats = 0;
+    this.channel = channel;
+    this.value = value;
+}
+
+// Represents a pressure change on a single key. time in seconds
+function PolyAftertouch(tick, channel, pitch, pressure) {
+    this.tick = tick;
+    this.time = 0;
+    this.beats = 0;
+    this.channel = channel;
+    this.pitch = pitch;
+    this.pressure = pressure;
+}
+
+// Represents a pressure change on the whole channel. time in seconds
+function ChannelPressure(tick, channel, pressure) {
+    this.tick = tick;
+    this.time = 0;
+    this.beats = 0;
+    this.channel = channel;
+    this.pressure = pressure;
+}
+
+// Represents a region in which the sustain pedal is held down. time in seconds
+function SustainRegion(time, beats) {
+    this.time = time;
+    this.beats = beats;
+    this.durTime = 0;
+    this.durBeats = 0;
+}
+
 function Channel(index) {
     this.index = index;
     this.trackIndex = Math.floor(index / 16);
     this.midiChannel = index % 16;
+    this.hasNotes = false;
     this.notes = new Array();
+    this.openNotes = new Array(); // Note-ons without a note-off yet, per pitch
+    this.controlChanges = new Array();
+    this.pitchBends = new Array();
+    this.polyAftertouches = new Array();
+    this.channelPressures = new Array();
 }
 
 function Track(index) {
     this.index = index;
     this.channels = new Array();
+    this.tempoCount = 0;
 }
 
 // Represents a tempo at a given point in time. Should be used in an array to create a tempo map
 function Tempo(tick, microsecondsPerQuarterNote) {
     this.tick = tick;
     this.microsecondsPerQuarterNote = microsecondsPerQuarterNote;
+    this.second = 0; // Will be calculated later
+    this.beats = 0; // Will be calculated later
 }
 
 // Represents a time signature at a given point in time. Should be used in an array to create a time signature map
@@ -271,6 +448,36 @@ function TimeSignature(tick, numerator, denominator, metronomeInterval, hemiDemi
     this.metronomeInterval = metronomeInterval;
     this.hemiDemiSemiNotesPerQuarterNote = hemiDemiSemiNotesPerQuarterNote;
     this.second = 0; // Will be calculated later
+    this.beats = 0; // Will be calculated later
+}
+
+// Represents a key signature at a given point in time. Should be used in an array to create a key signature map
+function KeySignature(tick, sharpsFlats, isMinor) {
+    this.tick = tick;
+    this.sharpsFlats = sharpsFlats; // -7 (7 flats) to 7 (7 sharps)
+    this.isMinor = isMinor;
+    this.name = getKeySignatureName(sharpsFlats, isMinor);
+    this.second = 0; // Will be calculated later
+    this.beats = 0; // Will be calculated later
+}
+
+// Represents a text meta event (text, lyric, marker or cue point) at a given point in time
+function TextEvent(tick, text, trackIndex) {
+    this.tick = tick;
+    this.text = text;
+    this.trackIndex = trackIndex;
+    this.second = 0; // Will be calculated later
+    this.beats = 0; // Will be calculated later
+}
+
+// Returns the name of the key, e.g. "Eb major" for 3 flats or "F# minor" for 3 sharps
+function getKeySignatureName(sharpsFlats, isMinor) {
+    var majorKeys = ["Cb", "Gb", "Db", "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#"];
+    var minorKeys = ["Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#", "G#", "D#", "A#"];
+    var key = (isMinor ? minorKeys : majorKeys)[sharpsFlats + 7];
+    if (key == undefined)
+        return "Unknown key";
+    return key + (isMinor ? " minor" : " major");
 }
 
 // Represents a BPM change at a given point. Should be used in an array to create a tempo map
@@ -323,34 +530,333 @@ function addMidiFileMethods(m) {
         return channel;
     }
 
-    m.addNote = function(time, beats, channel, pitch, vel) {
-        var note = new Note(time, beats, channel, pitch, vel);
+    m.addNote = function(tick, channel, pitch, vel) {
+        var note = new Note(tick, channel, pitch, vel);
         this.notes.push(note);
 
         var channelO = this.findChannel(channel);
         channelO.notes.push(note);
 
+        if (!channelO.openNotes[pitch])
+            channelO.openNotes[pitch] = new Array();
+
         if (vel) {
             this.noteOns++;
+            channelO.hasNotes = true;
+            channelO.openNotes[pitch].push(note);
         } else {
             this.noteOffs++;
-            // note-off? try to assign duration to a note-on
-            for (var i = channelO.notes.length - 2; i >= 0; i--) {
-                var note2 = channelO.notes[i];
-                if (note2.vel && note2.pitch == pitch) {
-                    note2.durTime = time - note2.time;
-                    note2.durBeats = beats - note2.beats;
-                    i = 0;
-                    //					break;
+            // note-off? assign duration to the oldest note-on of that pitch that is still playing
+            var note2 = channelO.openNotes[pitch].shift();
+            if (note2)
+                note2.durTicks = tick - note2.tick;
+        }
+
+        return note;
+    }
+
+    m.addControlChange = function(tick, channel, controller, value) {
+        var controlChange = new ControlChange(tick, channel, controller, value);
+        this.findChannel(channel).controlChanges.push(controlChange);
+        return controlChange;
+    }
+
+    m.addPitchBend = function(tick, channel, value) {
+        var pitchBend = new PitchBend(tick, channel, value);
+        this.findChannel(channel).pitchBends.push(pitchBend);
+        return pitchBend;
+    }
+
+    m.addPolyAftertouch = function(tick, channel, pitch, pressure) {
+        var polyAftertouch = new PolyAftertouch(tick, channel, pitch, pressure);
+        this.findChannel(channel).polyAftertouches.push(polyAftertouch);
+        return polyAftertouch;
+    }
+
+    m.addChannelPressure = function(tick, channel, pressure) {
+        var channelPressure = new ChannelPressure(tick, channel, pressure);
+        this.findChannel(channel).channelPressures.push(channelPressure);
+        return channelPressure;
+    }
+
+    // Get the regions in which the sustain pedal (CC64) of a channel is held down
+    m.getSustainRegions = function(channelO) {
+        var regions = new Array();
+        var region = null;
+        for (var i = 0; i < channelO.controlChanges.length; i++) {
+            var controlChange = channelO.controlChanges[i];
+            if (controlChange.controller != 64)
+                continue;
+
+            if (controlChange.value >= 64 && region == null) {
+                region = new SustainRegion(controlChange.time, controlChange.beats);
+            } else if (controlChange.value < 64 && region != null) {
+                region.durTime = controlChange.time - region.time;
+                region.durBeats = controlChange.beats - region.beats;
+                regions.push(region);
+                region = null;
+            }
+        }
+        if (region != null) { // The pedal is never released, so hold it until the last note of the channel ends
+            for (var i = 0; i < channelO.notes.length; i++) {
+                var note = channelO.notes[i];
+                if (note.durTime != undefined && note.time + note.durTime - region.time > region.durTime) {
+                    region.durTime = note.time + note.durTime - region.time;
+                    region.durBeats = note.beats + note.durBeats - region.beats;
                 }
             }
+            if (region.durTime > 0)
+                regions.push(region);
         }
+        return regions;
+    }
 
-        return note;
+    // The sustain regions of all channels sorted by time, with overlapping regions merged into one
+    m.getMergedSustainRegions = function() {
+        var regions = new Array();
+        for (var i = 0; i < this.channels.length; i++) {
+            if (this.channels[i])
+                regions = regions.concat(this.getSustainRegions(this.channels[i]));
+        }
+        regions.sort(function(a, b) { return a.time - b.time; });
+
+        var merged = new Array();
+        for (var i = 0; i < regions.length; i++) {
+            var region = regions[i];
+            var last = merged.length > 0 ? merged[merged.length - 1] : null;
+            if (last != null && region.time <= last.time + last.durTime) {
+                if (region.time + region.durTime > last.time + last.durTime) {
+                    last.durTime = region.time + region.durTime - last.time;
+                    last.durBeats = region.beats + region.durBeats - last.beats;
+                }
+            } else {
+                merged.push(region);
+            }
+        }
+        return merged;
+    }
+
+    // Extend the duration of notes that are still held by the sustain pedal when their key is released
+    m.applySustainPedal = function() {
+        for (var i = 0; i < this.channels.length; i++) {
+            var channelO = this.channels[i];
+            if (!channelO)
+                continue;
+
+            var regions = this.getSustainRegions(channelO);
+            if (regions.length == 0)
+                continue;
+
+            var nextNoteOns = new Array(); // The next note-on of each pitch, since playing the same key again cuts off the sustained note
+            for (var j = channelO.notes.length - 1; j >= 0; j--) {
+                var note = channelO.notes[j];
+                if (!note.vel)
+                    continue;
+
+                var nextNoteOn = nextNoteOns[note.pitch];
+                nextNoteOns[note.pitch] = note;
+                if (note.durTime == undefined)
+                    continue;
+
+                var region = getRegionAt(regions, note.time + note.durTime);
+                if (region == null)
+                    continue;
+
+                var endTime = region.time + region.durTime;
+                var endBeats = region.beats + region.durBeats;
+                if (nextNoteOn && nextNoteOn.time < endTime) {
+                    endTime = nextNoteOn.time;
+                    endBeats = nextNoteOn.beats;
+                }
+                if (endTime > note.time + note.durTime) {
+                    note.durTime = endTime - note.time;
+                    note.durBeats = endBeats - note.beats;
+                }
+            }
+        }
+
+        // Binary search for the region that holds the pedal down at the given time
+        function getRegionAt(regions, time) {
+            var low = 0;
+            var high = regions.length - 1;
+            while (low <= high) {
+                var middle = Math.floor((low + high) / 2);
+                if (regions[middle].time <= time)
+                    low = middle + 1;
+                else
+                    high = middle - 1;
+            }
+            if (high >= 0 && time < regions[high].time + regions[high].durTime)
+                return regions[high];
+            return null;
+        }
+    }
+
+    // Calculate the bend in semitones of all pitch bends, using the bend range that was set through RPN 0 at that point
+    m.applyPitchBendRange = function(defaultRange) {
+        for (var i = 0; i < this.channels.length; i++) {
+            var channelO = this.channels[i];
+            if (!channelO)
+                continue;
+
+            var range = defaultRange;
+            var rpnMsb = 127; // 127/127 is the null RPN
+            var rpnLsb = 127;
+            var controlChangeIndex = 0;
+            for (var j = 0; j < channelO.pitchBends.length; j++) {
+                var pitchBend = channelO.pitchBends[j];
+                while (controlChangeIndex < channelO.controlChanges.length && channelO.controlChanges[controlChangeIndex].tick <= pitchBend.tick) {
+                    var controlChange = channelO.controlChanges[controlChangeIndex];
+                    switch (controlChange.controller) {
+                        case 101: // RPN MSB
+                            rpnMsb = controlChange.value;
+                            break;
+                        case 100: // RPN LSB
+                            rpnLsb = controlChange.value;
+                            break;
+                        case 99: // NRPN MSB
+                        case 98: // NRPN LSB
+                            rpnMsb = 127;
+                            rpnLsb = 127;
+                            break;
+                        case 6: // data entry MSB, semitones for RPN 0
+                            if (rpnMsb == 0 && rpnLsb == 0)
+                                range = controlChange.value;
+                            break;
+                        case 38: // data entry LSB, cents for RPN 0
+                            if (rpnMsb == 0 && rpnLsb == 0)
+                                range = Math.floor(range) + controlChange.value / 100;
+                            break;
+                    }
+                    controlChangeIndex++;
+                }
+                pitchBend.semitones = (pitchBend.value / 8192) * range;
+            }
+        }
     }
 
     m.addTimeSignatureAt = function(tick, numerator, denominator, metronomeInterval, hemiDemiSemiNotesPerQuarterNote) {
-        this.timeSignatureMap.push(new TimeSignature(tick, numerator, denominator, metronomeInterval, hemiDemiSemiNotesPerQuarterNote))
+        this.insertByTick(this.timeSignatureMap, new TimeSignature(tick, numerator, denominator, metronomeInterval, hemiDemiSemiNotesPerQuarterNote));
+    }
+
+    m.addKeySignature = function(tick, sharpsFlats, isMinor) {
+        this.insertByTick(this.keySignatureMap, new KeySignature(tick, sharpsFlats, isMinor));
+    }
+
+    // Add a text, lyric, marker or cue point event to the given map
+    m.addTextEvent = function(map, tick, text, trackIndex) {
+        this.insertByTick(map, new TextEvent(tick, text, trackIndex));
+    }
+
+    // Time signatures, tempos and meta events like these can come from any track, so keep the map sorted. Events at the same tick stay in the order they were read
+    m.insertByTick = function(map, event) {
+        var index = map.length;
+        while (index > 0 && map[index - 1].tick > event.tick)
+            index--;
+        map.splice(index, 0, event);
+    }
+
+    m.addWarning = function(message) {
+        this.warnings.push(message);
+    }
+
+    // Calculate the time in seconds and beats of all events, which requires the complete tempo map
+    m.updateEventTimes = function() {
+        this.updateTempoMapTimes();
+
+        for (var i = 0; i < this.notes.length; i++) {
+            var note = this.notes[i];
+            note.time = this.getTime(note.tick);
+            note.beats = this.getBeats(note.tick);
+            if (note.durTicks != undefined) {
+                note.durTime = this.getTime(note.tick + note.durTicks) - note.time;
+                note.durBeats = this.getBeats(note.tick + note.durTicks) - note.beats;
+            }
+        }
+        for (var i = 0; i < this.channels.length; i++) {
+            var channelO = this.channels[i];
+            if (!channelO)
+                continue;
+
+            updateTimes(this, channelO.controlChanges);
+            updateTimes(this, channelO.pitchBends);
+            updateTimes(this, channelO.polyAftertouches);
+            updateTimes(this, channelO.channelPressures);
+        }
+        updateMapTimes(this, this.timeSignatureMap);
+        updateMapTimes(this, this.keySignatureMap);
+        updateMapTimes(this, this.markerMap);
+        updateMapTimes(this, this.cuePointMap);
+        updateMapTimes(this, this.lyricMap);
+        updateMapTimes(this, this.textMap);
+
+        function updateTimes(midiFile, events) {
+            for (var i = 0; i < events.length; i++) {
+                events[i].time = midiFile.getTime(events[i].tick);
+                events[i].beats = midiFile.getBeats(events[i].tick);
+            }
+        }
+
+        // Maps store the time in seconds as "second", like the tempo map
+        function updateMapTimes(midiFile, map) {
+            for (var i = 0; i < map.length; i++) {
+                map[i].second = midiFile.getTime(map[i].tick);
+                map[i].beats = midiFile.getBeats(map[i].tick);
+            }
+        }
+    }
+
+    // Look for tempo maps that are likely to result in wrong timings
+    m.checkTempoMap = function() {
+        if (this.noteOns == 0)
+            return;
+
+        // The timing of SMPTE based files doesn't depend on the tempo
+        if (this.tempoMap.length == 0) {
+            if (!this.framesPerSecond)
+                this.addWarning("No tempo changes found, 120 BPM is used.");
+            return;
+        }
+        if (this.format == 2)
+            this.addWarning("Format 2 files contain independent songs per track, but all tracks are timed with the same tempo map.");
+
+        var tempoTracks = 0;
+        for (var i = 0; i < this.tracks.length; i++) {
+            if (this.tracks[i].tempoCount)
+                tempoTracks++;
+        }
+        if (tempoTracks > 1)
+            this.addWarning("Tempo changes were found in " + tempoTracks + " tracks and were merged into one tempo map.");
+
+        var firstNoteTick = undefined;
+        for (var i = 0; i < this.notes.length; i++) {
+            if (this.notes[i].vel && (firstNoteTick == undefined || this.notes[i].tick < firstNoteTick))
+                firstNoteTick = this.notes[i].tick;
+        }
+        if (firstNoteTick < this.tempoMap[0].tick && !this.framesPerSecond)
+            this.addWarning("Notes start before the first tempo change, they are played at 120 BPM until then.");
+
+        var conflictCount = 0;
+        var unusualCount = 0;
+        var firstUnusualTempo = undefined;
+        for (var i = 0; i < this.tempoMap.length; i++) {
+            var tempo = this.tempoMap[i];
+            if (i > 0 && tempo.tick == this.tempoMap[i - 1].tick && tempo.microsecondsPerQuarterNote != this.tempoMap[i - 1].microsecondsPerQuarterNote)
+                conflictCount++;
+
+            var bpm = 60000000.0 / tempo.microsecondsPerQuarterNote;
+            if (bpm < 20 || bpm > 400) {
+                if (unusualCount == 0)
+                    firstUnusualTempo = tempo;
+                unusualCount++;
+            }
+        }
+        if (conflictCount)
+            this.addWarning(conflictCount + " tempo change(s) conflict with another one at the same position, the last one read is used.");
+        if (unusualCount) {
+            var second = this.getTime(firstUnusualTempo.tick);
+            this.addWarning(unusualCount + " unusual tempo change(s), the first one is " + Math.round(60000000.0 / firstUnusualTempo.microsecondsPerQuarterNote) + " BPM at " + Math.floor(second / 60) + "m" + Math.floor(second) % 60 + "s.");
+        }
     }
 
     m.getEventLength = function(status, offset) {
@@ -367,7 +873,7 @@ function addMidiFileMethods(m) {
                 return 1;
         }
 
-        if (status == 0xff || status == 0xf0) // meta or sysex
+        if (status == 0xff) // meta
         {
             var result = this.getVarVal(offset + 1);
             result += this.getVarLen(offset + 1);
@@ -392,23 +898,45 @@ function addMidiFileMethods(m) {
             //~ 				case 0x7f: // sequencer-specific
         }
 
+        switch (status) {
+            case 0xf0: // sysex
+            case 0xf7: // sysex continuation or escaped data
+                return this.getVarVal(offset) + this.getVarLen(offset);
+            case 0xf1: // MTC quarter frame
+            case 0xf3: // song select
+                return 1;
+            case 0xf2: // song position pointer
+                return 2;
+            case 0xf6: // tune request
+            case 0xf8: // real time messages
+            case 0xf9:
+            case 0xfa:
+            case 0xfb:
+            case 0xfc:
+            case 0xfd:
+            case 0xfe:
+                return 0;
+        }
+        // 0xf4 and 0xf5 are undefined, so the length is unknown
 
     }
 
+    // Variable length values are at most 4 bytes long
     m.getVarLen = function(offset) {
         var result = 1;
-        while (1) {
+        while (result < 4 && offset < this.fileLength) {
             if (this.file.charCodeAt(offset) & 0x80) {
                 result++;
                 offset++;
             } else
                 return result;
         }
+        return result;
     }
 
     m.getVarVal = function(offset) {
         var result = 0;
-        while (1) {
+        for (var i = 0; i < 4 && offset < this.fileLength; i++) {
             var b = this.file.charCodeAt(offset);
             result = result * 128 + (b & 0x7f);
             if (b & 0x80)
@@ -416,6 +944,7 @@ function addMidiFileMethods(m) {
             else
                 return result;
         }
+        return result;
     }
 
     m.getVarString = function(offset) {
@@ -428,60 +957,89 @@ function addMidiFileMethods(m) {
 
     // Add tempo change to the tempo map
     m.addTempo = function(tick, microsecondsPerQuarterNote) {
-        var tempo = new Tempo(tick, microsecondsPerQuarterNote);
-        this.tempoMap.push(tempo);
+        this.insertByTick(this.tempoMap, new Tempo(tick, microsecondsPerQuarterNote));
     }
 
-    // Get the current active tempo at the specified tick
+    // Get the current active tempo at the specified tick. A change that happens at the tick itself is already active
     m.getTempo = function(tick) {
-        var result = 500000;
-        var tempo;
+        var index = this.findTempoIndexBefore(tick, "tick");
+        while (index + 1 < this.tempoMap.length && this.tempoMap[index + 1].tick <= tick)
+            index++;
+        return index < 0 ? 500000 : this.tempoMap[index].microsecondsPerQuarterNote;
+    }
+
+    // Calculate the time in seconds and beats at which each tempo change happens, so that
+    // converting ticks doesn't need to walk through the whole tempo map every time
+    m.updateTempoMapTimes = function() {
+        var tick = 0;
+        var second = 0;
+        var beats = 0;
+        var microsecondsPerQuarterNote = 500000;
         for (var i = 0; i < this.tempoMap.length; i++) {
-            tempo = this.tempoMap[i];
-            result = tempo.microsecondsPerQuarterNote;
-            if (tick > tempo.tick) {
-                if (i + 1 < this.tempoMap.length) {
-                    if (tick <= this.tempoMap[i + 1].tick) {
-                        break;
-                    }
-                }
-            }
+            var tempo = this.tempoMap[i];
+            second += this.getSecondsPerTick(microsecondsPerQuarterNote) * (tempo.tick - tick);
+            beats += this.getBeatsPerTick(microsecondsPerQuarterNote) * (tempo.tick - tick);
+            tempo.second = second;
+            tempo.beats = beats;
+            tick = tempo.tick;
+            microsecondsPerQuarterNote = tempo.microsecondsPerQuarterNote;
         }
-        return result;
     }
 
-    // Get time in seconds, while keeping tempo changes in mind
+    m.getSecondsPerTick = function(microsecondsPerQuarterNote) {
+        if (this.framesPerSecond) // SMPTE ticks don't depend on the tempo
+            return 1 / this.ticksPerSecond;
+        return microsecondsPerQuarterNote / this.timeDivision / 1000000;
+    }
+
+    m.getBeatsPerTick = function(microsecondsPerQuarterNote) {
+        if (this.framesPerSecond)
+            return 1000000 / microsecondsPerQuarterNote / this.ticksPerSecond;
+        return 1 / this.timeDivision;
+    }
+
+    // Binary search for the index of the last tempo change before the value (or -1), property is either "tick" or "beats"
+    m.findTempoIndexBefore = function(value, property) {
+        var low = 0;
+        var high = this.tempoMap.length - 1;
+        while (low <= high) {
+            var middle = Math.floor((low + high) / 2);
+            if (this.tempoMap[middle][property] < value)
+                low = middle + 1;
+            else
+                high = middle - 1;
+        }
+        return high;
+    }
+
+    // Get time in seconds, while keeping tempo changes in mind. Until the first tempo change, 120 BPM is used
     m.getTime = function(targetTick) {
-        var seconds = 0;
+        var index = this.findTempoIndexBefore(targetTick, "tick");
+        if (index < 0)
+            return this.getSecondsPerTick(500000) * targetTick;
 
-        var currentMicrosecondsPerQuarterNote = 500000;
+        var tempo = this.tempoMap[index];
+        return tempo.second + this.getSecondsPerTick(tempo.microsecondsPerQuarterNote) * (targetTick - tempo.tick);
+    }
 
-        var tickCounter = 0;
-        var prevTickCounter = 0;
-        var deltaTickCounter = 0;
+    // Get the position in beats (quarter notes), which depends on the tempo for SMPTE based files
+    m.getBeats = function(targetTick) {
+        var index = this.findTempoIndexBefore(targetTick, "tick");
+        if (index < 0)
+            return this.getBeatsPerTick(500000) * targetTick;
 
-        var index = 0;
-        var tempo;
-        while (tickCounter < targetTick) {
-            if (index < this.tempoMap.length) {
-                tempo = this.tempoMap[index];
-                currentMicrosecondsPerQuarterNote = tempo.microsecondsPerQuarterNote;
-                if (index + 1 >= this.tempoMap.length) { // Are there any tempo changes left?
-                    tickCounter = targetTick;
-                } else if (targetTick <= this.tempoMap[index + 1].tick) { // Is there a tempo change before the target tick?
-                    tickCounter = targetTick;
-                } else {
-                    tickCounter = this.tempoMap[index + 1].tick;
-                }
-                index++;
-            } else {
-                tickCounter = targetTick;
-            }
-            deltaTickCounter = tickCounter - prevTickCounter;
-            seconds += (currentMicrosecondsPerQuarterNote * deltaTickCounter) / this.timeDivision / 1000000;
-            prevTickCounter = tickCounter;
-        }
-        return seconds;
+        var tempo = this.tempoMap[index];
+        return tempo.beats + this.getBeatsPerTick(tempo.microsecondsPerQuarterNote) * (targetTick - tempo.tick);
+    }
+
+    // Get the tick at a position in beats (quarter notes), the reverse of getBeats
+    m.getTickOfBeats = function(targetBeats) {
+        var index = this.findTempoIndexBefore(targetBeats, "beats");
+        if (index < 0)
+            return targetBeats / this.getBeatsPerTick(500000);
+
+        var tempo = this.tempoMap[index];
+        return tempo.tick + (targetBeats - tempo.beats) / this.getBeatsPerTick(tempo.microsecondsPerQuarterNote);
     }
 }
 // ...
@@ -523,6 +1081,7 @@ function ProgressBar(parentPanel) {
     pbObj.stop = function() {
         pbObj.createCancelBtn.text = "Create";
         pbObj.createCancelBtn.onClick = createVisualizer;
+        pbObj.isCanceled = false; // Files are also read outside of the process when a folder is selected
         pbObj.endTime = Date.now();
         var deltaTime = pbObj.endTime - pbObj.startTime;
         deltaTime /= 1000;
@@ -597,14 +1156,21 @@ function showSettingsWindow() {
 
     var catGeneralComp = addCategoryToTab(tabGeneral, "Composition");
     var catGeneralbpmText = addCategoryToTab(tabGeneral, "BPM Text");
+    var catGeneralLyricsText = addCategoryToTab(tabGeneral, "Lyrics Text");
 
     var catNotePosSize = addCategoryToTab(tabNotes.left, "Position");
     var catNoteFxAnim = addCategoryToTab(tabNotes.right, "FX & Animation");
+    var catNoteDrumLanes = addCategoryToTab(tabNotes.left, "Drum Lanes");
+    var catNoteVelocity = addCategoryToTab(tabNotes.left, "Velocity");
+    var catNoteHitFx = addCategoryToTab(tabNotes.right, "Hit FX");
+    var catNoteRendering = addCategoryToTab(tabNotes.right, "Rendering");
 
     var catbarLinesPos = addCategoryToTab(tabBarLines, "Position");
     var catbarLinesFont = addCategoryToTab(tabBarLines, "Font");
+    var catPedalLane = addCategoryToTab(tabBarLines, "Pedal Lane");
 
     var catPianoKeysSettings = addCategoryToTab(tabPianoKeys, "Settings");
+    var catPianoKeysShape = addCategoryToTab(tabPianoKeys, "Shape");
     var catPianoKeysFont = addCategoryToTab(tabPianoKeys, "Font");
 
     var catAdvSettings = addCategoryToTab(tabAdvanced, "Settings");
@@ -632,6 +1198,10 @@ function showSettingsWindow() {
         "The width of all compositions.");
     createLabel(catGeneralComp.labels, "Comp Height",
         "The height of all compositions.");
+    createLabel(catGeneralComp.labels, "Orientation",
+        "Horizontal: Notes scroll from right to left towards the keys on the left.\nVertical: Notes fall towards a keyboard at the bottom, with the pitches spread over the width of the comp like the keys of a real piano.");
+    createLabel(catGeneralComp.labels, "MIDI Markers",
+        "Adds the markers and cue points of the MIDI files as composition markers to MidiMaster and the scroller compositions.");
 
     createLabel(catGeneralbpmText.labels, "Create BPM Text",
         "Creates a text layer that shows the current BPM of the song.");
@@ -640,19 +1210,28 @@ function showSettingsWindow() {
     createLabel(catGeneralbpmText.labels, "Font Size",
         "The pixel size of the font.");
 
+    createLabel(catGeneralLyricsText.labels, "Create Lyrics Text",
+        "Creates a text layer that shows the lyrics of the song line by line, with the current syllable highlighted.\nUses the lyric events of the MIDI file, or the text events of karaoke (.kar) files.");
+    createLabel(catGeneralLyricsText.labels, "Font",
+        "The font of the Lyrics Text.");
+    createLabel(catGeneralLyricsText.labels, "Font Size",
+        "The pixel size of the font.");
+    createLabel(catGeneralLyricsText.labels, "Y Position",
+        "The pixel position of the Lyrics Text in the Y axis, starting from the top.");
+
     createLabel(catNotePosSize.labels, "Note X Offset",
-        "Pixel offset in the X axis for the note activation, starting from the left.");
+        "Pixel offset in the X axis for the note activation, starting from the left.\nIn vertical orientation, this is the offset in the Y axis starting from the bottom.");
     createLabel(catNotePosSize.labels, "Note Y Offset",
-        "Pixel offset in the Y axis for the notes, starting from the bottom.");
+        "Pixel offset in the Y axis for the notes, starting from the bottom.\nNot used in vertical orientation, where the keys are spread over the width of the comp.");
     createLabel(catNotePosSize.labels, "Pitch Bottom Threshold",
         "Sets the floor for the lowest MIDI note pitch. 21 is A0.");
     createLabel(catNotePosSize.labels, "Pitch Top Threshold",
         "Sets the ceiling for the highest MIDI note pitch. 127 is G9, 108 is C8.");
 
     createLabel(catNotePosSize.labels, "White Note Size",
-        "Size of white notes (non-sharpened).");
+        "Size of white notes (non-sharpened).\nNot used in vertical orientation, where the keys are spread over the width of the comp.");
     createLabel(catNotePosSize.labels, "Black Note Size",
-        "Size of black notes (sharpened).");
+        "Size of black notes (sharpened).\nNot used in vertical orientation, where the keys are spread over the width of the comp.");
 
     createLabel(catNoteFxAnim.labels, "Note Velocity",
         "Speed of notes in pixels per second.");
@@ -668,6 +1247,52 @@ function showSettingsWindow() {
         "The amount of darkening applied to sharpened notes.");
     createLabel(catNoteFxAnim.labels, "DropShadow Blur Size",
         "The amount of blur added to the DropShadow effect of notes. Set to 0 to disable.");
+    createLabel(catNoteFxAnim.labels, "Sustain Pedal",
+        "Notes that are still held by the sustain pedal (CC64) when their key is released last until the pedal is released.");
+    createLabel(catNoteFxAnim.labels, "Pitch Bend Animation",
+        "Notes move up and down according to the pitch bends of their channel while they are playing.");
+    createLabel(catNoteFxAnim.labels, "Pitch Bend Range",
+        "The amount of semitones a full pitch bend moves a note. Only used if the MIDI file doesn't set the range itself (RPN 0).");
+    createLabel(catNoteFxAnim.labels, "Scroll Controls",
+        "Adds Pixels Per Second and X Offset sliders to the Scroller null of each scroller comp. The scroller and the comp it scrolls follow them through expressions, so the speed can be changed after creating the visualizer.\nThe tempo changes are kept in the keyframes of the scroller, so BPM Based Speed can't be changed afterwards.");
+    createLabel(catNoteFxAnim.labels, "Note Controls",
+        "Adds a \"MIDI Controls\" null to each notes comp with the note colors, opacity, darken amount, drop shadow softness, fade out time and hit scale. The notes follow them through expressions, so their look can be changed after creating the visualizer.\nThe hit FX and the animated piano keys take their colors from them as well.");
+
+    createLabel(catNoteDrumLanes.labels, "Drum Lanes",
+        "Notes on MIDI channel 10 (General MIDI percussion) get a labeled lane for each drum that is used, instead of their position on the keyboard.\nThe lanes have their own band above the highest key (see Pitch Top Threshold), so they don't cover the other notes. If they don't fit below the bar lines, they are made narrower.\nIn vertical orientation the band is on the right side, and the keys are spread over the rest of the width.");
+    createLabel(catNoteDrumLanes.labels, "Lane Height",
+        "The height of each drum lane in pixels.");
+    createLabel(catNoteDrumLanes.labels, "Hit Width",
+        "Drum hits are drawn as blocks of this width in pixels, regardless of their duration.");
+    createLabel(catNoteDrumLanes.labels, "Font",
+        "The font of the drum lane labels.");
+    createLabel(catNoteDrumLanes.labels, "Font Size",
+        "The pixel size of the font.");
+
+    createLabel(catNoteVelocity.labels, "Velocity Mapping",
+        "What the velocity of a note affects.\n\nBrightness: Softer notes are darker.\nOpacity: Softer notes are more transparent.\nHeight: Softer notes are thinner.\nGradient: The color goes from the low to the high color, instead of using the color of the file. This overrides the colors of the tracks and channels as well.");
+    createLabel(catNoteVelocity.labels, "Curve",
+        "Linear: The effect grows evenly with the velocity.\nExponential: Only the loudest notes reach the full effect, which makes differences between loud notes more visible.");
+    createLabel(catNoteVelocity.labels, "Min Velocity",
+        "Notes with this velocity or lower get the lowest amount.");
+    createLabel(catNoteVelocity.labels, "Max Velocity",
+        "Notes with this velocity or higher get the full amount.");
+    createLabel(catNoteVelocity.labels, "Min Amount",
+        "The brightness, opacity or height in percent of notes at the min velocity.");
+    createLabel(catNoteVelocity.labels, "Low Color",
+        "The gradient color of notes at the min velocity.");
+    createLabel(catNoteVelocity.labels, "High Color",
+        "The gradient color of notes at the max velocity.");
+
+    createLabel(catNoteHitFx.labels, "Hit FX",
+        "An effect at the indicator when a note reaches it, in the color of the note. Each pitch gets one layer in the scroller comp.\n\nBurst: A ring that expands and fades out.\nGlow: A glowing circle that flashes and fades out.");
+    createLabel(catNoteHitFx.labels, "Size",
+        "The pixel size of the effect when it is fully grown.");
+    createLabel(catNoteHitFx.labels, "Duration",
+        "How long the effect lasts in seconds.");
+
+    createLabel(catNoteRendering.labels, "Note Layers",
+        "Per Note: Every note is a shape layer with its own keyframes. Slow to work with for big files.\nSingle Layer: All notes of a comp are groups with the same keyframes in one shape layer, so the comp doesn't get a layer for every note.\nPer Pitch: Like Single Layer, but with one shape layer for each pitch.");
 
     createLabel(catbarLinesPos.labels, "Y Position",
         "The Y position at which all lines start.");
@@ -679,19 +1304,35 @@ function showSettingsWindow() {
         "The PostScript name of the font.");
     createLabel(catbarLinesFont.labels, "Font Size",
         "The pixel size of the font.");
+    createLabel(catPedalLane.labels, "Create Pedal Lane",
+        "Creates a lane next to the bar lines that shows when the sustain pedal (CC64) is held down.");
+    createLabel(catPedalLane.labels, "Y Position",
+        "The Y position at which the pedal lane starts.");
+    createLabel(catPedalLane.labels, "Lane Height",
+        "The height of the bars in the pedal lane.");
 
     createLabel(catPianoKeysSettings.labels, "Create Indicator",
         "Creates a line at the position where notes start.");
     createLabel(catPianoKeysSettings.labels, "Create Keys",
-        "Creates lines that represent the piano keys. Text layers are created at C keys");
+        "Creates a keyboard out of shape layers, with the black keys on top of the white keys. Text layers are created at C keys");
     createLabel(catPianoKeysSettings.labels, "Indicator Width",
         "The width of the indicator");
     createLabel(catPianoKeysSettings.labels, "Key Gap Size",
         "The gap between the keys and the indicator.");
     createLabel(catPianoKeysSettings.labels, "White Key Width",
-        "The width of the white keys.");
+        "The length of the white keys, from the back of the keyboard to the side facing the notes.");
     createLabel(catPianoKeysSettings.labels, "Black Key Width",
-        "The width of the black keys");
+        "The length of the black keys. They end with the white keys on the side facing the notes.");
+    createLabel(catPianoKeysSettings.labels, "Animate Keys",
+        "Lights up the keys in the color of the file or track that plays them. The comp then lasts as long as the scrollers and is added to MidiMaster.");
+    createLabel(catPianoKeysSettings.labels, "Idle Key Opacity",
+        "The opacity of keys that aren't played while Animate Keys is on. Played keys have an opacity of 100.");
+    createLabel(catPianoKeysShape.labels, "Roundness",
+        "The corner roundness of the keys in pixels.");
+    createLabel(catPianoKeysShape.labels, "Bevel",
+        "Gives the keys a 3D look by shading their front, the side facing the notes.");
+    createLabel(catPianoKeysShape.labels, "Bevel Size",
+        "The length of the shaded front of the keys.");
     createLabel(catPianoKeysFont.labels, "Font",
         "The PostScript name of the font.");
     createLabel(catPianoKeysFont.labels, "Font Size",
@@ -701,6 +1342,10 @@ function showSettingsWindow() {
         "The index of the MIDI file to take the tempo map from.\nIf the index is out of range, 0 or the last index will be used instead.\n\nNote: 0 Is the first MIDI file.");
     createLabel(catAdvSettings.labels, "Time Signature Source Index",
         "The index of the MIDI file to take the time signature from.\nIf the index is out of range, 0 or the last index will be used instead.\n\nNote: 0 Is the first MIDI file.");
+    createLabel(catAdvSettings.labels, "Pedal Source Index",
+        "The index of the MIDI file to take the sustain pedal from for the pedal lane.\nIf the index is out of range, 0 or the last index will be used instead.\n\nNote: 0 Is the first MIDI file.");
+    createLabel(catAdvSettings.labels, "Lyrics Source Index",
+        "The index of the MIDI file to take the lyrics from for the Lyrics Text.\nIf the index is out of range, 0 or the last index will be used instead.\n\nNote: 0 Is the first MIDI file.");
     createLabel(catAdvSettings.labels, "Trailing Duration",
         "Additional amount of time to scroll after the last note (for each MIDI) stopped playing.");
     createLabel(catAdvSettings.labels, "BPM Change Threshold",
@@ -738,6 +1383,18 @@ function showSettingsWindow() {
                 midiCustomSettings.resolutionHeight = parseInt(this.text, 10);
             }
         };
+    var dropdown = catGeneralComp.controls.add("DropdownList", [0, 0, 128, 24], ["Horizontal", "Vertical"]);
+    dropdown.selection = midiCustomSettings.orientation;
+    dropdown.onChange = function() {
+        midiCustomSettings.orientation = this.selection.index;
+    };
+    var checkBox = catGeneralComp.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.createCompMarkers)
+    checkBox.value = midiCustomSettings.createCompMarkers;
+    checkBox.text = midiCustomSettings.createCompMarkers == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.createCompMarkers = this.value;
+        this.text = midiCustomSettings.createCompMarkers == true ? "On" : "Off";
+    };
     var checkBox = catGeneralbpmText.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.createBpmText)
     checkBox.value = midiCustomSettings.createBpmText;
     checkBox.text = midiCustomSettings.createBpmText == true ? "On" : "Off";
@@ -757,6 +1414,33 @@ function showSettingsWindow() {
                 midiCustomSettings.bpmTextFontSize = parseInt(this.text, 10);
             }
         };
+    var checkBox = catGeneralLyricsText.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.createLyricsText)
+    checkBox.value = midiCustomSettings.createLyricsText;
+    checkBox.text = midiCustomSettings.createLyricsText == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.createLyricsText = this.value;
+        this.text = midiCustomSettings.createLyricsText == true ? "On" : "Off";
+    };
+    catGeneralLyricsText.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.lyricsTextFont)
+        .onChanging = function() {
+            midiCustomSettings.lyricsTextFont = this.text;
+        };
+    catGeneralLyricsText.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.lyricsTextFontSize)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.lyricsTextFontSize;
+            else {
+                midiCustomSettings.lyricsTextFontSize = parseInt(this.text, 10);
+            }
+        };
+    catGeneralLyricsText.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.lyricsTextYPos)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.lyricsTextYPos;
+            else {
+                midiCustomSettings.lyricsTextYPos = parseInt(this.text, 10);
+            }
+        };
     catNotePosSize.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.noteHitXOffset)
         .onChanging = function() {
             if (isNaN(this.text))
@@ -859,89 +1543,294 @@ function showSettingsWindow() {
                 midiCustomSettings.dropShadowBlurSize = parseInt(this.text, 10);
             }
         };
-    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineYPos)
+    var checkBox = catNoteFxAnim.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.sustainPedalDurations)
+    checkBox.value = midiCustomSettings.sustainPedalDurations;
+    checkBox.text = midiCustomSettings.sustainPedalDurations == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.sustainPedalDurations = this.value;
+        this.text = midiCustomSettings.sustainPedalDurations == true ? "On" : "Off";
+    };
+    var checkBox = catNoteFxAnim.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.pitchBendAnimation)
+    checkBox.value = midiCustomSettings.pitchBendAnimation;
+    checkBox.text = midiCustomSettings.pitchBendAnimation == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.pitchBendAnimation = this.value;
+        this.text = midiCustomSettings.pitchBendAnimation == true ? "On" : "Off";
+    };
+    catNoteFxAnim.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pitchBendRange)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.barLineYPos;
+                this.text = midiCustomSettings.pitchBendRange;
             else {
-                midiCustomSettings.barLineYPos = parseInt(this.text, 10);
+                midiCustomSettings.pitchBendRange = parseFloat(this.text);
             }
         };
-    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineBarHeight)
+    var checkBox = catNoteFxAnim.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.scrollControls)
+    checkBox.value = midiCustomSettings.scrollControls;
+    checkBox.text = midiCustomSettings.scrollControls == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.scrollControls = this.value;
+        this.text = midiCustomSettings.scrollControls == true ? "On" : "Off";
+    };
+    var checkBox = catNoteFxAnim.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.noteControls)
+    checkBox.value = midiCustomSettings.noteControls;
+    checkBox.text = midiCustomSettings.noteControls == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.noteControls = this.value;
+        this.text = midiCustomSettings.noteControls == true ? "On" : "Off";
+    };
+    var checkBox = catNoteDrumLanes.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.drumLanes)
+    checkBox.value = midiCustomSettings.drumLanes;
+    checkBox.text = midiCustomSettings.drumLanes == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.drumLanes = this.value;
+        this.text = midiCustomSettings.drumLanes == true ? "On" : "Off";
+    };
+    catNoteDrumLanes.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.drumLaneHeight)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.barLineBarHeight;
+                this.text = midiCustomSettings.drumLaneHeight;
             else {
-                midiCustomSettings.barLineBarHeight = parseInt(this.text, 10);
+                midiCustomSettings.drumLaneHeight = parseInt(this.text, 10);
             }
         };
-    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineBeatHeight)
+    catNoteDrumLanes.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.drumHitWidth)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.barLineBeatHeight;
+                this.text = midiCustomSettings.drumHitWidth;
             else {
-                midiCustomSettings.barLineBeatHeight = parseInt(this.text, 10);
+                midiCustomSettings.drumHitWidth = parseInt(this.text, 10);
             }
         };
-    catbarLinesFont.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineFont)
+    catNoteDrumLanes.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.drumLaneFont)
         .onChanging = function() {
-            midiCustomSettings.barLineFont = this.text;
+            midiCustomSettings.drumLaneFont = this.text;
         };
-    catbarLinesFont.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineFontSize)
+    catNoteDrumLanes.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.drumLaneFontSize)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.barLineFontSize;
+                this.text = midiCustomSettings.drumLaneFontSize;
             else {
-                midiCustomSettings.barLineFontSize = parseInt(this.text, 10);
+                midiCustomSettings.drumLaneFontSize = parseInt(this.text, 10);
             }
         };
-    var checkBox = catPianoKeysSettings.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.bpmBasedSpeed)
-    checkBox.value = midiCustomSettings.pianoKeysCreateIndicator;
-    checkBox.text = midiCustomSettings.pianoKeysCreateIndicator == true ? "On" : "Off";
-    checkBox.onClick = function() {
-        midiCustomSettings.pianoKeysCreateIndicator = this.value;
-        this.text = midiCustomSettings.pianoKeysCreateIndicator == true ? "On" : "Off";
+    var dropdown = catNoteVelocity.controls.add("DropdownList", [0, 0, 128, 24], ["Off", "Brightness", "Opacity", "Height", "Gradient"]);
+    dropdown.selection = midiCustomSettings.velocityMapping;
+    dropdown.onChange = function() {
+        midiCustomSettings.velocityMapping = this.selection.index;
     };
-    var checkBox = catPianoKeysSettings.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.bpmBasedSpeed)
-    checkBox.value = midiCustomSettings.pianoKeysCreateKeys;
-    checkBox.text = midiCustomSettings.pianoKeysCreateKeys == true ? "On" : "Off";
-    checkBox.onClick = function() {
-        midiCustomSettings.pianoKeysCreateKeys = this.value;
-        this.text = midiCustomSettings.pianoKeysCreateKeys == true ? "On" : "Off";
+    var dropdown = catNoteVelocity.controls.add("DropdownList", [0, 0, 128, 24], ["Linear", "Exponential"]);
+    dropdown.selection = midiCustomSettings.velocityCurve;
+    dropdown.onChange = function() {
+        midiCustomSettings.velocityCurve = this.selection.index;
     };
-
-    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysIndicatorWidth)
+    catNoteVelocity.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.velocityRangeMin)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.pianoKeysIndicatorWidth;
+                this.text = midiCustomSettings.velocityRangeMin;
             else {
-                midiCustomSettings.pianoKeysIndicatorWidth = parseInt(this.text, 10);
+                midiCustomSettings.velocityRangeMin = parseInt(this.text, 10);
             }
         };
-    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysGapSize)
+    catNoteVelocity.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.velocityRangeMax)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.pianoKeysGapSize;
+                this.text = midiCustomSettings.velocityRangeMax;
             else {
-                midiCustomSettings.pianoKeysGapSize = parseInt(this.text, 10);
+                midiCustomSettings.velocityRangeMax = parseInt(this.text, 10);
             }
         };
-    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysWhiteKeyWidth)
+    catNoteVelocity.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.velocityMinAmount)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.pianoKeysWhiteKeyWidth;
+                this.text = midiCustomSettings.velocityMinAmount;
             else {
-                midiCustomSettings.pianoKeysWhiteKeyWidth = parseInt(this.text, 10);
+                midiCustomSettings.velocityMinAmount = parseInt(this.text, 10);
             }
         };
-    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysBlackKeyWidth)
+    var colorNames = new Array();
+    for (var i = 0; i < midiCustomSettings.presetColors.length; i++)
+        colorNames.push(midiCustomSettings.presetColors[i].name);
+    var dropdown = catNoteVelocity.controls.add("DropdownList", [0, 0, 128, 24], colorNames);
+    dropdown.selection = midiCustomSettings.velocityLowColorIndex;
+    dropdown.onChange = function() {
+        midiCustomSettings.velocityLowColorIndex = this.selection.index;
+    };
+    var dropdown = catNoteVelocity.controls.add("DropdownList", [0, 0, 128, 24], colorNames);
+    dropdown.selection = midiCustomSettings.velocityHighColorIndex;
+    dropdown.onChange = function() {
+        midiCustomSettings.velocityHighColorIndex = this.selection.index;
+    };
+    var dropdown = catNoteHitFx.controls.add("DropdownList", [0, 0, 128, 24], ["Off", "Burst", "Glow"]);
+    dropdown.selection = midiCustomSettings.hitFxStyle;
+    dropdown.onChange = function() {
+        midiCustomSettings.hitFxStyle = this.selection.index;
+    };
+    catNoteHitFx.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.hitFxSize)
         .onChanging = function() {
             if (isNaN(this.text))
-                this.text = midiCustomSettings.pianoKeysBlackKeyWidth;
+                this.text = midiCustomSettings.hitFxSize;
+            else {
+                midiCustomSettings.hitFxSize = parseInt(this.text, 10);
+            }
+        };
+    catNoteHitFx.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.hitFxDuration)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.hitFxDuration;
+            else {
+                midiCustomSettings.hitFxDuration = parseFloat(this.text);
+            }
+        };
+    var dropdown = catNoteRendering.controls.add("DropdownList", [0, 0, 128, 24], ["Per Note", "Single Layer", "Per Pitch"]);
+    dropdown.selection = midiCustomSettings.noteRenderMode;
+    dropdown.onChange = function() {
+        midiCustomSettings.noteRenderMode = this.selection.index;
+    };
+    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineYPos)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.barLineYPos;
+            else {
+                midiCustomSettings.barLineYPos = parseInt(this.text, 10);
+            }
+        };
+    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineBarHeight)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.barLineBarHeight;
+            else {
+                midiCustomSettings.barLineBarHeight = parseInt(this.text, 10);
+            }
+        };
+    catbarLinesPos.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineBeatHeight)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.barLineBeatHeight;
+            else {
+                midiCustomSettings.barLineBeatHeight = parseInt(this.text, 10);
+            }
+        };
+    catbarLinesFont.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineFont)
+        .onChanging = function() {
+            midiCustomSettings.barLineFont = this.text;
+        };
+    catbarLinesFont.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.barLineFontSize)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.barLineFontSize;
+            else {
+                midiCustomSettings.barLineFontSize = parseInt(this.text, 10);
+            }
+        };
+    var checkBox = catPedalLane.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.createPedalLane)
+    checkBox.value = midiCustomSettings.createPedalLane;
+    checkBox.text = midiCustomSettings.createPedalLane == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.createPedalLane = this.value;
+        this.text = midiCustomSettings.createPedalLane == true ? "On" : "Off";
+    };
+    catPedalLane.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pedalLaneYPos)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pedalLaneYPos;
+            else {
+                midiCustomSettings.pedalLaneYPos = parseInt(this.text, 10);
+            }
+        };
+    catPedalLane.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pedalLaneHeight)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pedalLaneHeight;
+            else {
+                midiCustomSettings.pedalLaneHeight = parseInt(this.text, 10);
+            }
+        };
+    var checkBox = catPianoKeysSettings.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.bpmBasedSpeed)
+    checkBox.value = midiCustomSettings.pianoKeysCreateIndicator;
+    checkBox.text = midiCustomSettings.pianoKeysCreateIndicator == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.pianoKeysCreateIndicator = this.value;
+        this.text = midiCustomSettings.pianoKeysCreateIndicator == true ? "On" : "Off";
+    };
+    var checkBox = catPianoKeysSettings.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.bpmBasedSpeed)
+    checkBox.value = midiCustomSettings.pianoKeysCreateKeys;
+    checkBox.text = midiCustomSettings.pianoKeysCreateKeys == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.pianoKeysCreateKeys = this.value;
+        this.text = midiCustomSettings.pianoKeysCreateKeys == true ? "On" : "Off";
+    };
+
+    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysIndicatorWidth)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysIndicatorWidth;
+            else {
+                midiCustomSettings.pianoKeysIndicatorWidth = parseInt(this.text, 10);
+            }
+        };
+    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysGapSize)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysGapSize;
+            else {
+                midiCustomSettings.pianoKeysGapSize = parseInt(this.text, 10);
+            }
+        };
+    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysWhiteKeyWidth)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysWhiteKeyWidth;
+            else {
+                midiCustomSettings.pianoKeysWhiteKeyWidth = parseInt(this.text, 10);
+            }
+        };
+    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysBlackKeyWidth)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysBlackKeyWidth;
             else {
                 midiCustomSettings.pianoKeysBlackKeyWidth = parseInt(this.text, 10);
             }
         };
+    var checkBox = catPianoKeysSettings.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.pianoKeysAnimate)
+    checkBox.value = midiCustomSettings.pianoKeysAnimate;
+    checkBox.text = midiCustomSettings.pianoKeysAnimate == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.pianoKeysAnimate = this.value;
+        this.text = midiCustomSettings.pianoKeysAnimate == true ? "On" : "Off";
+    };
+    catPianoKeysSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysIdleOpacity)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysIdleOpacity;
+            else {
+                midiCustomSettings.pianoKeysIdleOpacity = parseFloat(this.text);
+            }
+        };
+    catPianoKeysShape.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysRoundness)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysRoundness;
+            else {
+                midiCustomSettings.pianoKeysRoundness = parseFloat(this.text);
+            }
+        };
+    var checkBox = catPianoKeysShape.controls.add("CheckBox", [0, 0, 64, 24], midiCustomSettings.pianoKeysBevel)
+    checkBox.value = midiCustomSettings.pianoKeysBevel;
+    checkBox.text = midiCustomSettings.pianoKeysBevel == true ? "On" : "Off";
+    checkBox.onClick = function() {
+        midiCustomSettings.pianoKeysBevel = this.value;
+        this.text = midiCustomSettings.pianoKeysBevel == true ? "On" : "Off";
+    };
+    catPianoKeysShape.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysBevelSize)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pianoKeysBevelSize;
+            else {
+                midiCustomSettings.pianoKeysBevelSize = parseFloat(this.text);
+            }
+        };
     catPianoKeysFont.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pianoKeysFont)
         .onChanging = function() {
             midiCustomSettings.pianoKeysFont = this.text;
@@ -970,6 +1859,22 @@ function showSettingsWindow() {
                 midiCustomSettings.timeSigSourceIndex = parseInt(this.text, 10);
             }
         };
+    catAdvSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.pedalSourceIndex)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.pedalSourceIndex;
+            else {
+                midiCustomSettings.pedalSourceIndex = parseInt(this.text, 10);
+            }
+        };
+    catAdvSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.lyricsSourceIndex)
+        .onChanging = function() {
+            if (isNaN(this.text))
+                this.text = midiCustomSettings.lyricsSourceIndex;
+            else {
+                midiCustomSettings.lyricsSourceIndex = parseInt(this.text, 10);
+            }
+        };
     catAdvSettings.controls.add("edittext", [0, 0, 128, 24], midiCustomSettings.trailingDuration)
         .onChanging = function() {
             if (isNaN(this.text))
@@ -1032,61 +1937,113 @@ function getOS() {
     return userOS;
 }
 
+// Returns null if any of the files couldn't be read at all
 function readMidiFiles() {
     var parsedFiles = new Array();
+    var errors = "";
     midiWndw.pb.updateTotal("Reading MIDI files... The window may become unresponsive during this step if there is a lot of data.", 5)
     for (var i = 0; i < midiConfigs.length; i++) {
         midiWndw.pb.updateCurrent("Parsing " + midiConfigs[i].name + "... (" + (i + 1) + "/" + midiConfigs.length + ")", ((i + 1) / midiConfigs.length) * 100);
-        parsedFiles.push(new MidiFile(midiConfigs[i].filePath));
+        try {
+            var midiFile = new MidiFile(midiConfigs[i].filePath);
+        } catch (error) {
+            errors += getMidiFileError(midiConfigs[i], error);
+            continue;
+        }
+        if (midiCustomSettings.sustainPedalDurations)
+            midiFile.applySustainPedal();
+        if (midiCustomSettings.pitchBendAnimation)
+            midiFile.applyPitchBendRange(midiCustomSettings.pitchBendRange);
+        parsedFiles.push(midiFile);
         if (midiWndw.pb.isCanceled)
             break;
     }
+    if (errors != "") {
+        alertMidiFileErrors(errors);
+        return null;
+    }
     return parsedFiles;
 }
 
-// Gets the time when the last MIDI note ends
-function getLatestMidiNote(midiFiles) {
-    var latestMidiNote = 0;
-    if (midiFiles.constructor == Array) {
-        for (var i = 0; i < midiFiles.length; i++) {
-            if (midiFiles[i].notes.length == 0)
-                continue;
+// A line of the list of files that couldn't be read
+function getMidiFileError(midiConfig, error) {
+    return midiConfig.name + " (" + midiConfig.fileName + "): " + error.message + "\n";
+}
 
-            var noteTime = undefined;
-            var noteDur = undefined;
+function alertMidiFileErrors(errors) {
+    Window.alert("The following files couldn't be read:\n\n" + errors + "\nPlease remove them from the folder or replace them with valid MIDI files.");
+}
 
-            var noteIndex = midiFiles[i].notes.length - 1;
-            while (noteDur == undefined) { // Find the last note with a duration
-                noteTime = midiFiles[i].notes[noteIndex].time;
-                noteDur = midiFiles[i].notes[noteIndex].durTime;
-                noteIndex--;
-                if (noteIndex < 0)
-                    break;
-            }
-            if (latestMidiNote < noteTime + noteDur) {
-                latestMidiNote = noteTime + noteDur;
-            }
-        }
-    } else {
-        var noteIndex = midiFiles.notes.length - 1;
-        while (noteDur == undefined) { // Find the last note with a duration
-            if (midiFiles.notes.length == 0)
-                break;
+// Lists the warnings of all MIDI files, or returns an empty string if there are none
+function getMidiFileWarnings(midiFiles) {
+    var result = "";
+    for (var i = 0; i < midiFiles.length; i++) {
+        if (midiFiles[i].warnings.length == 0)
+            continue;
 
-            var noteTime = midiFiles.notes[noteIndex].time;
-            var noteDur = midiFiles.notes[noteIndex].durTime;
-            noteIndex--;
-            if (noteIndex < 0)
-                break;
+        result += midiConfigs[i].name + " (" + midiConfigs[i].fileName + "):\n";
+        for (var j = 0; j < midiFiles[i].warnings.length; j++) {
+            result += "  - " + midiFiles[i].warnings[j] + "\n";
         }
-        if (latestMidiNote < noteTime + noteDur) {
-            latestMidiNote = noteTime + noteDur;
+    }
+    return result;
+}
+
+// Shows the problems found while reading the MIDI files and asks whether to continue anyway
+function confirmMidiFileWarnings(midiFiles) {
+    var warnings = getMidiFileWarnings(midiFiles);
+    if (warnings == "")
+        return true;
+    return Window.confirm("Some MIDI files might not be read or timed correctly:\n\n" + warnings + "\nDo you want to continue anyway?");
+}
+
+// Gets the time when the last MIDI note ends
+function getLatestMidiNote(midiFiles) {
+    var latestMidiNote = 0;
+    if (midiFiles.constructor != Array)
+        midiFiles = [midiFiles];
+
+    for (var i = 0; i < midiFiles.length; i++) {
+        // Durations can be extended by the sustain pedal, so the last note to start isn't necessarily the last one to end
+        for (var j = 0; j < midiFiles[i].notes.length; j++) {
+            var note = midiFiles[i].notes[j];
+            if (note.durTime != undefined && latestMidiNote < note.time + note.durTime) {
+                latestMidiNote = note.time + note.durTime;
+            }
         }
     }
     return latestMidiNote + midiCustomSettings.trailingDuration;
 }
 
+// Notes are placed on two axes: The time axis along which they scroll, and the pitch axis.
+// Horizontal: Time runs from left to right and pitch from bottom to top.
+// Vertical: Time runs from bottom to top (the notes fall down) and pitch from left to right.
+function isVertical() {
+    return midiCustomSettings.orientation == 1;
+}
+
+// Converts a position on the time axis (see getXPositionAndWidthOfNote) and a position on the pitch axis (see getPitchPositionAndSize) into a comp position
+function getCompPosition(timePos, pitchPos) {
+    if (isVertical())
+        return [pitchPos, midiCustomSettings.resolutionHeight - timePos];
+    return [timePos, midiCustomSettings.resolutionHeight - pitchPos];
+}
+
+// Converts a length on the time axis and a size on the pitch axis into a comp size
+function getCompSize(timeLength, pitchSize) {
+    if (isVertical())
+        return [pitchSize, timeLength];
+    return [timeLength, pitchSize];
+}
+
+// Settings like the bar line Y position are measured from the top, which is the left side in vertical orientation
+function getPitchPositionFromEdge(offset) {
+    if (isVertical())
+        return offset;
+    return midiCustomSettings.resolutionHeight - offset;
+}
 
+// Gets the position of a note start on the time axis, and the length of the note
 function getXPositionAndWidthOfNote(startTime, noteDur, bpmMap) {
     var currentPosition = 0;
     var currentWidth = 0;
@@ -1242,6 +2199,226 @@ function getYPositionAndHeightOfKey(pitch) {
     return [position, height];
 }
 
+// Maps the velocity to 0 - 1 within the velocity range, following the velocity curve
+function getVelocityAmount(vel) {
+    var min = midiCustomSettings.velocityRangeMin;
+    var max = midiCustomSettings.velocityRangeMax;
+    var amount = max > min ? (vel - min) / (max - min) : 1;
+    amount = Math.max(0, Math.min(1, amount));
+    if (midiCustomSettings.velocityCurve == 1)
+        amount = (Math.exp(4 * amount) - 1) / (Math.exp(4) - 1);
+    return amount;
+}
+
+// The factor for brightness, opacity and height, from the min amount at the lowest velocity up to 1
+function getVelocityFactor(vel) {
+    var minFactor = midiCustomSettings.velocityMinAmount / 100;
+    return minFactor + (1 - minFactor) * getVelocityAmount(vel);
+}
+
+// Blends between the low and high gradient color by velocity
+function getVelocityGradientColor(vel) {
+    var lowColor = midiCustomSettings.presetColors[midiCustomSettings.velocityLowColorIndex].color;
+    var highColor = midiCustomSettings.presetColors[midiCustomSettings.velocityHighColorIndex].color;
+    var amount = getVelocityAmount(vel);
+    var color = new Array();
+    for (var i = 0; i < 4; i++)
+        color.push(lowColor[i] + (highColor[i] - lowColor[i]) * amount);
+    return color;
+}
+
+// General MIDI percussion is on MIDI channel 10
+function isDrumChannel(channel) {
+    return channel % 16 == 9;
+}
+
+// Names of the General MIDI (and GM2) percussion notes
+function getDrumName(pitch) {
+    var drumNames = ["High Q", "Slap", "Scratch Push", "Scratch Pull", "Sticks", "Square Click", "Metronome Click", "Metronome Bell", // 27 - 34 (GM2)
+        "Kick 2", "Kick", "Side Stick", "Snare", "Clap", "Snare 2", "Low Floor Tom", "Closed HH", "High Floor Tom", "Pedal HH", // 35 - 44
+        "Low Tom", "Open HH", "Low Mid Tom", "High Mid Tom", "Crash", "High Tom", "Ride", "China", "Ride Bell", "Tambourine", // 45 - 54
+        "Splash", "Cowbell", "Crash 2", "Vibraslap", "Ride 2", "High Bongo", "Low Bongo", "Mute High Conga", "Open High Conga", "Low Conga", // 55 - 64
+        "High Timbale", "Low Timbale", "High Agogo", "Low Agogo", "Cabasa", "Maracas", "Short Whistle", "Long Whistle", "Short Guiro", "Long Guiro", // 65 - 74
+        "Claves", "High Wood Block", "Low Wood Block", "Mute Cuica", "Open Cuica", "Mute Triangle", "Open Triangle", // 75 - 81
+        "Shaker", "Jingle Bell", "Bell Tree", "Castanets", "Mute Surdo", "Open Surdo" // 82 - 87 (GM2)
+    ];
+    var name = drumNames[pitch - 27];
+    return name == undefined ? "Drum " + pitch : name;
+}
+
+// Checks if any of the notes is a drum, see isDrumChannel
+function hasDrumNotes(notes) {
+    for (var i = 0; i < notes.length; i++) {
+        if (isDrumChannel(notes[i].channel))
+            return true;
+    }
+    return false;
+}
+
+// Gets the pitches of the drums that are used in the MIDI files, from low to high. Each of them gets its own lane,
+// which is the same in all notes comps
+function getDrumLanes(midiFiles) {
+    var isUsed = new Array();
+    for (var i = 0; i < midiFiles.length; i++) {
+        var notes = midiFiles[i].notes;
+        for (var j = 0; j < notes.length; j++) {
+            if (isDrumChannel(notes[j].channel))
+                isUsed[notes[j].pitch] = true;
+        }
+    }
+
+    var lanes = new Array();
+    for (var i = 0; i < isUsed.length; i++) {
+        if (isUsed[i])
+            lanes.push(i);
+    }
+    return lanes;
+}
+
+// Sets the drum lanes of this run. If they don't fit into their band, the user is asked whether to continue with narrower lanes
+function confirmDrumLanes(midiFiles) {
+    drumLanes = midiCustomSettings.drumLanes ? getDrumLanes(midiFiles) : new Array();
+    var laneHeight = getDrumLaneHeight();
+    if (laneHeight >= midiCustomSettings.drumLaneHeight)
+        return true;
+    if (isVertical())
+        return Window.confirm("The " + drumLanes.length + " drum lanes would take more than half of the width, so they are only " + Math.round(laneHeight * 10) / 10 + " pixels wide.\n" +
+            "Lower the Lane Height to keep them at the same size.\n\nDo you want to continue anyway?");
+    return Window.confirm("The " + drumLanes.length + " drum lanes don't fit between the highest key and the bar lines, so they are only " + Math.round(laneHeight * 10) / 10 + " pixels high.\n" +
+        "Lower the Pitch Top Threshold or move the bar lines up to make room for them.\n\nDo you want to continue anyway?");
+}
+
+// The lanes are stacked upwards from the highest key and end below the bar lines. They are made narrower if there isn't enough room.
+// In vertical orientation the keys make room for the lanes on the right side, but keep at least half of the width
+function getDrumLaneHeight() {
+    var room = isVertical() ? midiCustomSettings.resolutionWidth / 2 :
+        midiCustomSettings.resolutionHeight - midiCustomSettings.barLineYPos - midiCustomSettings.barLineBarHeight - getDrumLaneBandStart();
+    return Math.max(Math.min(midiCustomSettings.drumLaneHeight, room / Math.max(drumLanes.length, 1)), 1);
+}
+
+// The drum lane band starts at the top edge of the highest key, or on the right side of the comp in vertical orientation
+function getDrumLaneBandStart() {
+    if (isVertical())
+        return midiCustomSettings.resolutionWidth - drumLanes.length * getDrumLaneHeight();
+    var topKey = getPitchPositionAndSize(midiCustomSettings.pitchTopThreshold);
+    return topKey[0] + topKey[1] / 2;
+}
+
+// Like getPitchPositionAndSize, but for the lane of a drum. Lanes are evenly spaced in their band, see getDrumLaneHeight
+function getPitchPositionAndSizeOfDrumLane(pitch) {
+    var lane = 0;
+    while (lane < drumLanes.length && drumLanes[lane] != pitch)
+        lane++;
+    var laneHeight = getDrumLaneHeight();
+    return [getDrumLaneBandStart() + (lane + 0.5) * laneHeight, laneHeight * 0.75];
+}
+
+// The labels don't scroll, so they are added to the scroller comp without being parented to the scroller.
+// They are placed before the hit line, which is below it in vertical orientation
+function createDrumLaneLabels(scrollerComp) {
+    for (var i = 0; i < drumLanes.length; i++) {
+        var labelTextLayer = scrollerComp.layers.addText();
+        labelTextLayer.name = getDrumName(drumLanes[i]);
+        var labelText = labelTextLayer.property("Source Text");
+
+        var labelTextDocument = new TextDocument(getDrumName(drumLanes[i]));
+        labelText.setValue(labelTextDocument);
+        labelTextDocument = labelText.value;
+        labelTextDocument.font = midiCustomSettings.drumLaneFont;
+        labelTextDocument.justification = isVertical() ? ParagraphJustification.CENTER_JUSTIFY : ParagraphJustification.RIGHT_JUSTIFY;
+        labelTextDocument.fillColor = [1, 1, 1];
+        labelTextDocument.fontSize = midiCustomSettings.drumLaneFontSize;
+        labelText.setValue(labelTextDocument);
+
+        var labelHeight = labelTextLayer.sourceRectAtTime(0, true).height;
+        var position = getCompPosition(midiCustomSettings.noteHitXOffset - 8, getPitchPositionAndSizeOfDrumLane(drumLanes[i])[0]);
+        position[1] += isVertical() ? labelHeight : labelHeight / 2;
+        labelTextLayer.property("transform").property("position").setValue(position);
+        if (midiCustomSettings.scrollControls)
+            setXOffsetExpression(labelTextLayer.property("transform").property("position"));
+    }
+}
+
+// Keys like on a real piano: All white keys are equally wide and the narrower black keys sit between two white keys.
+// The keys between the pitch thresholds are spread over the width of the comp, up to the drum lane band
+function getXPositionAndWidthOfKey(pitch) {
+    var whiteKeyCount = 0;
+    for (var i = midiCustomSettings.pitchBottomThreshold; i <= midiCustomSettings.pitchTopThreshold; i++) {
+        if (!isBlackNote(i))
+            whiteKeyCount++;
+    }
+    var whiteKeyWidth = getDrumLaneBandStart() / Math.max(whiteKeyCount, 1);
+
+    var whiteKeysBefore = 0;
+    for (var i = midiCustomSettings.pitchBottomThreshold; i < pitch; i++) {
+        if (!isBlackNote(i))
+            whiteKeysBefore++;
+    }
+    if (isBlackNote(pitch))
+        return [whiteKeysBefore * whiteKeyWidth, whiteKeyWidth * 0.6];
+    return [(whiteKeysBefore + 0.5) * whiteKeyWidth, whiteKeyWidth];
+}
+
+// Gets the center and size of a key on the pitch axis
+function getPitchPositionAndSize(pitch) {
+    if (isVertical())
+        return getXPositionAndWidthOfKey(pitch);
+    return getYPositionAndHeightOfKey(pitch);
+}
+
+// Gets the position on the pitch axis of a key that is bent by the given (fractional) amount of semitones
+function getPitchPositionOfBentKey(pitch, semitones) {
+    var bentPitch = pitch + semitones;
+    var lowerPitch = Math.floor(bentPitch);
+    var lowerPosition = getPitchPositionAndSize(lowerPitch)[0];
+    var upperPosition = getPitchPositionAndSize(lowerPitch + 1)[0];
+    return lowerPosition + (upperPosition - lowerPosition) * (bentPitch - lowerPitch);
+}
+
+// Binary search for the pitch bend that is active at the given time. Returns -1 if the first one comes later
+function getPitchBendIndex(pitchBends, time) {
+    var low = 0;
+    var high = pitchBends.length - 1;
+    while (low <= high) {
+        var middle = Math.floor((low + high) / 2);
+        if (pitchBends[middle].time <= time)
+            low = middle + 1;
+        else
+            high = middle - 1;
+    }
+    return high;
+}
+
+// Sets the position of a note shape, following the pitch bends of its channel while the note is playing
+function setNotePositionWithPitchBends(position, pitchBends, notePitch, noteTime, noteDur, timePos) {
+    var bendIndex = getPitchBendIndex(pitchBends, noteTime);
+    var keyTimes = [noteTime];
+    var keySemitones = [bendIndex >= 0 ? pitchBends[bendIndex].semitones : 0];
+    var isBent = keySemitones[0] != 0;
+    for (var i = bendIndex + 1; i < pitchBends.length && pitchBends[i].time < noteTime + noteDur; i++) {
+        keyTimes.push(pitchBends[i].time);
+        keySemitones.push(pitchBends[i].semitones);
+        if (pitchBends[i].semitones != 0)
+            isBent = true;
+    }
+
+    if (!isBent) {
+        position.setValue(getCompPosition(timePos, getPitchPositionAndSize(notePitch)[0]));
+        return;
+    }
+
+    var previousPitchPos = undefined;
+    for (var i = 0; i < keyTimes.length; i++) {
+        var pitchPos = getPitchPositionOfBentKey(notePitch, keySemitones[i]);
+        if (previousPitchPos != undefined && Math.abs(pitchPos - previousPitchPos) < 0.5) // Skip changes that wouldn't be visible anyway
+            continue;
+
+        position.setValueAtTime(keyTimes[i], getCompPosition(timePos, pitchPos));
+        position.setInterpolationTypeAtKey(position.numKeys, KeyframeInterpolationType.LINEAR);
+        previousPitchPos = pitchPos;
+    }
+}
+
 function getKeyName(pitch) {
     switch (pitch % 12) {
         case 0: // C
@@ -1311,6 +2488,9 @@ function createBpmMap(midiFile) {
     var decimalPlaces = parseInt(midiCustomSettings.bpmChangeThreshold.countDecimals(), 10);
     var amountOfDecimals = Math.pow(10, decimalPlaces);
 
+    if (midiFile.tempoMap.length == 0 || midiFile.tempoMap[0].tick > 0) // 120 BPM is used until the first tempo change
+        bpmMap.push(new BPM(0, 120, 500000));
+
     for (var i = 0; i < midiFile.tempoMap.length; i++) {
         var second = midiFile.getTime(midiFile.tempoMap[i].tick);
         var bpm = 60000000.0 / midiFile.tempoMap[i].microsecondsPerQuarterNote;
@@ -1339,15 +2519,23 @@ function createTimeSignatureMap(midiFile) {
     for (var i = 0; i < midiFile.timeSignatureMap.length; i++) {
         var second = midiFile.getTime(midiFile.timeSignatureMap[i].tick);
         midiFile.timeSignatureMap[i].second = second;
+        midiFile.timeSignatureMap[i].beats = midiFile.getBeats(midiFile.timeSignatureMap[i].tick);
     }
     return midiFile.timeSignatureMap;
 }
 
+// Gets the position of the scroller after scrolling the given distance. Notes move to the left, or down in vertical orientation
+function getScrollerPosition(comp, distance) {
+    if (isVertical())
+        return [comp.width / 2, distance];
+    return [distance * -1, comp.height / 2];
+}
+
 function addScrollerKeyframes(comp, bpmMap, scroller, latestMidiNote) {
     var currentSecond = 0;
     var bpmIndex = 0;
     var currentBpm = bpmMap[bpmIndex].bpm;
-    var currentPosition = 0;
+    var currentDistance = 0;
     midiWndw.pb.updateCurrent("Adding Scroller Keyframes: 0%", currentSecond);
 
     if (latestMidiNote == 0) { // This shouldn't ever happen
@@ -1362,20 +2550,20 @@ function addScrollerKeyframes(comp, bpmMap, scroller, latestMidiNote) {
             var deltaSeconds = newSecond - currentSecond;
 
             var speedMultiplier = midiCustomSettings.bpmBasedSpeed ? currentBpm / 120.0 : 1;
-            var newPosition = currentPosition + ((deltaSeconds * (midiCustomSettings.velocityPerSecond * speedMultiplier)) * -1);
+            var newDistance = currentDistance + deltaSeconds * (midiCustomSettings.velocityPerSecond * speedMultiplier);
 
-            scroller.property("transform").property("position").setValueAtTime(newSecond, [newPosition, comp.height / 2]);
+            scroller.property("transform").property("position").setValueAtTime(newSecond, getScrollerPosition(comp, newDistance));
 
             currentSecond = newSecond;
-            currentPosition = newPosition;
+            currentDistance = newDistance;
             bpmIndex++;
         } else {
             var newSecond = latestMidiNote;
             var deltaSeconds = newSecond - currentSecond;
 
             var speedMultiplier = midiCustomSettings.bpmBasedSpeed ? currentBpm / 120.0 : 1;
-            var newPosition = currentPosition + ((deltaSeconds * (midiCustomSettings.velocityPerSecond * speedMultiplier)) * -1);
-            scroller.property("transform").property("position").setValueAtTime(newSecond, [newPosition, comp.height / 2]);
+            var newDistance = currentDistance + deltaSeconds * (midiCustomSettings.velocityPerSecond * speedMultiplier);
+            scroller.property("transform").property("position").setValueAtTime(newSecond, getScrollerPosition(comp, newDistance));
 
             currentSecond = newSecond;
         }
@@ -1386,30 +2574,226 @@ function addScrollerKeyframes(comp, bpmMap, scroller, latestMidiNote) {
     }
 }
 
+// Adds the null that scrolls all layers parented to it.
+// In regenerate mode, the scroller of the last run gets new keyframes and keeps its scroll controls with the values the user has set
+function addScroller(scrollerComp, bpmMap, latestMidiNote) {
+    var scroller = reuseGeneratedLayer(scrollerComp, function(layer) {
+        return layer.nullLayer && layer.name == "Scroller";
+    });
+    if (scroller != null) {
+        var position = scroller.property("transform").property("position");
+        position.expression = "";
+        while (position.numKeys > 0)
+            position.removeKey(1);
+    } else {
+        scroller = scrollerComp.layers.addNull();
+        scroller.name = "Scroller";
+    }
+    scroller.property("transform").property("position").setValueAtTime(0, getScrollerPosition(scrollerComp, 0));
+    scroller.property("transform").property("position").setSpatialAutoBezierAtKey(1, false);
+
+    if (midiCustomSettings.bpmBasedSpeed)
+        addScrollerKeyframes(scrollerComp, bpmMap, scroller, latestMidiNote);
+    else
+        scroller.property("transform").property("position").setValueAtTime(latestMidiNote, getScrollerPosition(scrollerComp, latestMidiNote * midiCustomSettings.velocityPerSecond));
+    return scroller;
+}
+
+// Adds the sliders for the speed and the X offset to the scroller. The layers are created for the speed and the X offset of the settings,
+// so the scroller multiplies its keyframes by the ratio of the speeds, and the comp layer is stretched by it around the hit line
+function addScrollControls(scroller, compLayer) {
+    var effects = scroller.property("Effects");
+    addControlEffect(effects, "ADBE Slider Control", "Pixels Per Second", midiCustomSettings.velocityPerSecond);
+    addControlEffect(effects, "ADBE Slider Control", "X Offset", midiCustomSettings.noteHitXOffset);
+
+    var expression = getSpeedRatioExpression("thisLayer") + getXOffsetExpression("thisLayer");
+    if (isVertical())
+        scroller.property("transform").property("position").expression = expression + "[value[0], value[1] * ratio - offset];";
+    else
+        scroller.property("transform").property("position").expression = expression + "[value[0] * ratio + offset, value[1]];";
+
+    // Move the anchor point to the hit line without moving the layer, so that the notes at the hit line stay there when the layer is stretched
+    var anchorPoint = compLayer.property("transform").property("anchorPoint");
+    var position = compLayer.property("transform").property("position");
+    var hitLine = [midiCustomSettings.noteHitXOffset, anchorPoint.value[1]];
+    if (isVertical())
+        hitLine = [anchorPoint.value[0], midiCustomSettings.resolutionHeight - midiCustomSettings.noteHitXOffset];
+    position.setValue([position.value[0] + hitLine[0] - anchorPoint.value[0], position.value[1] + hitLine[1] - anchorPoint.value[1]]);
+    anchorPoint.setValue(hitLine);
+    if (isVertical())
+        compLayer.property("transform").property("scale").expression = getSpeedRatioExpression("parent") + "[value[0], value[1] * ratio];";
+    else
+        compLayer.property("transform").property("scale").expression = getSpeedRatioExpression("parent") + "[value[0] * ratio, value[1]];";
+}
+
+// Sets the variable "ratio" in the expression to the speed of the scroll controls of the given scroller, relative to the speed of the settings
+function getSpeedRatioExpression(scroller) {
+    return "var ratio = " + scroller + ".effect(\"Pixels Per Second\")(\"ADBE Slider Control-0001\") / " + midiCustomSettings.velocityPerSecond + ";\n";
+}
+
+// Sets the variable "offset" in the expression to the X offset of the scroll controls of the given scroller, relative to the X offset of the settings
+function getXOffsetExpression(scroller) {
+    return "var offset = " + scroller + ".effect(\"X Offset\")(\"ADBE Slider Control-0001\") - " + midiCustomSettings.noteHitXOffset + ";\n";
+}
+
+// For the layers at the hit line of a scroller comp that don't scroll, like the drum lane labels and the hit FX
+function setXOffsetExpression(position) {
+    if (isVertical())
+        position.expression = getXOffsetExpression("thisComp.layer(\"Scroller\")") + "[value[0], value[1] - offset];";
+    else
+        position.expression = getXOffsetExpression("thisComp.layer(\"Scroller\")") + "[value[0] + offset, value[1]];";
+}
+
 function MidiConfig(file) {
     this.filePath = file.absoluteURI;
     this.fileName = File.decode(file.name);
     this.name = this.fileName.split(".")[0];
     this.selectedColorIndex = 0;
+    this.splitMode = 0; // 0: All notes in one comp, 1: One comp per track, 2: One comp per MIDI channel
+    this.include = true;
+    // Filters, channels and tracks are lists of numbers counted from 1, like "10" or "1, 3-5"
+    this.excludedChannels = "";
+    this.excludedTracks = "";
+    this.minPitch = 0;
+    this.maxPitch = 127;
+    this.minVelocity = 1;
+    this.minDuration = 0; // In seconds
+    // Tracks and channels that contain notes, indexed like MidiFile.tracks and MidiFile.channels
+    this.trackConfigs = new Array();
+    this.channelConfigs = new Array();
 }
 
-// Color in RGB (0 - 255) because that's easier TODO: Support 0-1, 0-255 and #hex values
-function PresetColor(name, color) {
+// Settings of a single track of a MIDI file. A color index of -1 uses the color of the file
+function TrackConfig(index, name) {
+    this.index = index;
     this.name = name;
-    this.color = [color[0] / 255, color[1] / 255, color[2] / 255, 1];
+    this.selectedColorIndex = -1;
+    this.include = true;
+    this.channelConfigs = new Array();
 }
 
-function MidiCustomSettings() {
-    // General //
-    // Composition
-    this.scrollCompFramerate = 60;
-    this.noteCompFramerate = 30;
-    this.resolutionWidth = 1920;
-    this.resolutionHeight = 1080;
-    // BPM Text
+// Settings of a single MIDI channel of a track. A color index of -1 uses the color of the track
+function ChannelConfig(index, name) {
+    this.index = index; // 16 * trackIndex + midiChannel, like Note.channel
+    this.name = name;
+    this.selectedColorIndex = -1;
+    this.include = true;
+}
+
+// Reads the tracks and channels that contain notes, so that they can be configured separately.
+// Only the names and the channels with notes are read (see MidiFile). Throws if the file can't be read
+function addTrackAndChannelConfigs(midiConfig) {
+    var midiFile = new MidiFile(midiConfig.filePath, true);
+
+    for (var i = 0; i < midiFile.tracks.length; i++) {
+        var trackConfig = null;
+        for (var j = 0; j < 16; j++) {
+            var channelO = midiFile.channels[i * 16 + j];
+            if (!channelO || !channelO.hasNotes)
+                continue;
+
+            if (trackConfig == null) {
+                trackConfig = new TrackConfig(i, getDefaultPartName(midiFile, 1, i));
+                midiConfig.trackConfigs[i] = trackConfig;
+            }
+            var channelConfig = new ChannelConfig(channelO.index, getDefaultPartName(midiFile, 2, channelO.index));
+            trackConfig.channelConfigs.push(channelConfig);
+            midiConfig.channelConfigs[channelO.index] = channelConfig;
+        }
+    }
+}
+
+// Channel colors override track colors, which override the default color
+function getNoteColorIndex(midiConfig, channel, defaultColorIndex) {
+    var channelConfig = midiConfig.channelConfigs[channel];
+    if (channelConfig && channelConfig.selectedColorIndex >= 0)
+        return channelConfig.selectedColorIndex;
+    var trackConfig = midiConfig.trackConfigs[Math.floor(channel / 16)];
+    if (trackConfig && trackConfig.selectedColorIndex >= 0)
+        return trackConfig.selectedColorIndex;
+    return defaultColorIndex;
+}
+
+// Parses a list of numbers like "10" or "1, 3-5" into an object with the numbers as keys.
+// Ranges are clamped to 1 - max, so that a typo like "1-999999" doesn't loop forever
+function parseNumberList(text, max) {
+    var numbers = new Object();
+    var parts = text.split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var range = parts[i].split("-");
+        var from = parseInt(range[0], 10);
+        var to = range.length > 1 ? parseInt(range[1], 10) : from;
+        if (isNaN(from) || isNaN(to))
+            continue;
+        from = Math.max(from, 1);
+        to = Math.min(to, max);
+        for (var j = from; j <= to; j++)
+            numbers[j] = true;
+    }
+    return numbers;
+}
+
+// Applies the filters of the file. The excluded channels and tracks are the parsed lists from the config
+function isNoteIncluded(midiConfig, note, excludedChannels, excludedTracks) {
+    return isChannelIncluded(midiConfig, note.channel) &&
+        !excludedChannels[note.channel % 16 + 1] &&
+        !excludedTracks[Math.floor(note.channel / 16) + 1] &&
+        note.pitch >= midiConfig.minPitch && note.pitch <= midiConfig.maxPitch &&
+        note.vel >= midiConfig.minVelocity &&
+        note.durTime >= midiConfig.minDuration;
+}
+
+// A channel is only included if its track and file are included as well
+function isChannelIncluded(midiConfig, channel) {
+    if (!midiConfig.include)
+        return false;
+    var trackConfig = midiConfig.trackConfigs[Math.floor(channel / 16)];
+    if (trackConfig && !trackConfig.include)
+        return false;
+    var channelConfig = midiConfig.channelConfigs[channel];
+    if (channelConfig && !channelConfig.include)
+        return false;
+    return true;
+}
+
+// Color in RGB (0 - 255) because that's easier TODO: Support 0-1, 0-255 and #hex values
+function PresetColor(name, color) {
+    this.name = name;
+    this.color = [color[0] / 255, color[1] / 255, color[2] / 255, 1];
+}
+
+// Settings files of older versions don't have the newer keys, so the default value is kept if a key is missing or doesn't parse
+function readXmlSetting(xmlValue, defaultValue) {
+    if (xmlValue.length() == 0)
+        return defaultValue;
+    var text = xmlValue.toString();
+    if (typeof defaultValue == "boolean")
+        return text == "true" ? true : (text == "false" ? false : defaultValue);
+    if (typeof defaultValue == "number") {
+        var value = parseFloat(text);
+        return isNaN(value) ? defaultValue : value;
+    }
+    return text;
+}
+
+function MidiCustomSettings() {
+    // General //
+    // Composition
+    this.scrollCompFramerate = 60;
+    this.noteCompFramerate = 30;
+    this.resolutionWidth = 1920;
+    this.resolutionHeight = 1080;
+    this.orientation = 0; // 0: Horizontal, notes scroll to the left. 1: Vertical, notes fall down
+    this.createCompMarkers = true; // Add MIDI markers and cue points as composition markers
+    // BPM Text
     this.createBpmText = false;
     this.bpmTextFont = "Arial";
     this.bpmTextFontSize = 32;
+    // Lyrics Text
+    this.createLyricsText = false;
+    this.lyricsTextFont = "Arial";
+    this.lyricsTextFontSize = 48;
+    this.lyricsTextYPos = 96; // Y position of the lyrics, starting from the top
 
     // Notes //
     // Position
@@ -1433,6 +2817,32 @@ function MidiCustomSettings() {
 
     this.dropShadowBlurSize = 16; // The amount of softness applied to the dropShadow effect of the notes.
 
+    this.sustainPedalDurations = false; // Should notes last until the sustain pedal is released?
+    this.pitchBendAnimation = false; // Should notes follow the pitch bends of their channel?
+    this.pitchBendRange = 2; // Semitones of a full pitch bend, if the MIDI file doesn't set it
+    this.scrollControls = false; // Should each scroller get sliders for the speed and the X offset?
+    this.noteControls = false; // Should the look of the notes be driven by expressions and a control null in each notes comp?
+    // Drum Lanes
+    this.drumLanes = false; // Should channel 10 notes get a lane per drum instead of their key position?
+    this.drumLaneHeight = 24;
+    this.drumHitWidth = 16; // Fixed width of drum hits
+    this.drumLaneFont = "Arial";
+    this.drumLaneFontSize = 16;
+    // Velocity
+    this.velocityMapping = 0; // 0: Off, 1: Brightness, 2: Opacity, 3: Height, 4: Gradient
+    this.velocityCurve = 0; // 0: Linear, 1: Exponential
+    this.velocityRangeMin = 1; // Velocities from min to max are mapped from the min amount to 100%
+    this.velocityRangeMax = 127;
+    this.velocityMinAmount = 25;
+    this.velocityLowColorIndex = 2; // Gradient colors, indices of the preset colors
+    this.velocityHighColorIndex = 1;
+    // Hit FX
+    this.hitFxStyle = 0; // 0: Off, 1: Burst, 2: Glow
+    this.hitFxSize = 64;
+    this.hitFxDuration = 0.4; // In seconds
+    // Rendering
+    this.noteRenderMode = 0; // 0: A layer per note, 1: A single layer, 2: A layer per pitch
+
     // BarLines //
     // Position
     this.barLineYPos = 164;
@@ -1441,6 +2851,10 @@ function MidiCustomSettings() {
     // Font
     this.barLineFont = "Arial-BoldMT";
     this.barLineFontSize = 36;
+    // Pedal Lane
+    this.createPedalLane = false;
+    this.pedalLaneYPos = 96;
+    this.pedalLaneHeight = 12;
 
     // PianoKeys
     this.pianoKeysCreateIndicator = true;
@@ -1449,6 +2863,12 @@ function MidiCustomSettings() {
     this.pianoKeysGapSize = 32;
     this.pianoKeysWhiteKeyWidth = 24;
     this.pianoKeysBlackKeyWidth = 16;
+    this.pianoKeysAnimate = false; // Lights up the keys while they are played
+    this.pianoKeysIdleOpacity = 60;
+    // Shape
+    this.pianoKeysRoundness = 4;
+    this.pianoKeysBevel = false; // Shades the front of the keys
+    this.pianoKeysBevelSize = 6;
     // Font
     this.pianoKeysFont = "Arial-BoldMT";
     this.pianoKeysFontSize = 22;
@@ -1456,6 +2876,8 @@ function MidiCustomSettings() {
     // Advanced
     this.bpmSourceIndex = 0; // The index of the MIDI file to take the tempo map from
     this.timeSigSourceIndex = 0; // The index of the MIDI file to take the time sig from
+    this.pedalSourceIndex = 0; // The index of the MIDI file to take the sustain pedal from
+    this.lyricsSourceIndex = 0; // The index of the MIDI file to take the lyrics from
 
     this.trailingDuration = 2.5; // Additional time it scrolls after the last note was played.
 
@@ -1483,16 +2905,24 @@ function MidiCustomSettings() {
     ];
 
     this.readFromXml = function(xmlObj) {
+        var defaults = new MidiCustomSettings();
         try {
             this.scrollCompFramerate = parseInt(xmlObj.settings.scrollCompFramerate, 10);
             this.noteCompFramerate = parseInt(xmlObj.settings.noteCompFramerate, 10);
             this.resolutionWidth = parseInt(xmlObj.settings.resolutionWidth, 10);
             this.resolutionHeight = parseInt(xmlObj.settings.resolutionHeight, 10);
+            this.orientation = readXmlSetting(xmlObj.settings.orientation, defaults.orientation);
+            this.createCompMarkers = readXmlSetting(xmlObj.settings.createCompMarkers, defaults.createCompMarkers);
 
             this.bpmTextFont = xmlObj.settings.bpmTextFont;
             this.bpmTextFontSize = parseInt(xmlObj.settings.bpmTextFontSize, 10);
             this.createBpmText = xmlObj.settings.createBpmText == "true" ? true : false;
 
+            this.lyricsTextFont = readXmlSetting(xmlObj.settings.lyricsTextFont, defaults.lyricsTextFont);
+            this.lyricsTextFontSize = readXmlSetting(xmlObj.settings.lyricsTextFontSize, defaults.lyricsTextFontSize);
+            this.lyricsTextYPos = readXmlSetting(xmlObj.settings.lyricsTextYPos, defaults.lyricsTextYPos);
+            this.createLyricsText = readXmlSetting(xmlObj.settings.createLyricsText, defaults.createLyricsText);
+
             this.noteHitXOffset = parseInt(xmlObj.settings.noteHitXOffset, 10);
             this.noteYOffset = parseInt(xmlObj.settings.noteYOffset, 10);
             this.pitchBottomThreshold = parseInt(xmlObj.settings.pitchBottomThreshold, 10);
@@ -1509,12 +2939,36 @@ function MidiCustomSettings() {
             this.darkenBlackNotes = xmlObj.settings.darkenBlackNotes == "true" ? true : false;
             this.darkenAmount = parseInt(xmlObj.settings.darkenAmount, 10);
             this.dropShadowBlurSize = parseInt(xmlObj.settings.dropShadowBlurSize, 10);
+            this.sustainPedalDurations = readXmlSetting(xmlObj.settings.sustainPedalDurations, defaults.sustainPedalDurations);
+            this.pitchBendAnimation = readXmlSetting(xmlObj.settings.pitchBendAnimation, defaults.pitchBendAnimation);
+            this.pitchBendRange = readXmlSetting(xmlObj.settings.pitchBendRange, defaults.pitchBendRange);
+            this.scrollControls = readXmlSetting(xmlObj.settings.scrollControls, defaults.scrollControls);
+            this.noteControls = readXmlSetting(xmlObj.settings.noteControls, defaults.noteControls);
+            this.drumLanes = readXmlSetting(xmlObj.settings.drumLanes, defaults.drumLanes);
+            this.drumLaneHeight = readXmlSetting(xmlObj.settings.drumLaneHeight, defaults.drumLaneHeight);
+            this.drumHitWidth = readXmlSetting(xmlObj.settings.drumHitWidth, defaults.drumHitWidth);
+            this.drumLaneFont = readXmlSetting(xmlObj.settings.drumLaneFont, defaults.drumLaneFont);
+            this.drumLaneFontSize = readXmlSetting(xmlObj.settings.drumLaneFontSize, defaults.drumLaneFontSize);
+            this.velocityMapping = readXmlSetting(xmlObj.settings.velocityMapping, defaults.velocityMapping);
+            this.velocityCurve = readXmlSetting(xmlObj.settings.velocityCurve, defaults.velocityCurve);
+            this.velocityRangeMin = readXmlSetting(xmlObj.settings.velocityRangeMin, defaults.velocityRangeMin);
+            this.velocityRangeMax = readXmlSetting(xmlObj.settings.velocityRangeMax, defaults.velocityRangeMax);
+            this.velocityMinAmount = readXmlSetting(xmlObj.settings.velocityMinAmount, defaults.velocityMinAmount);
+            this.velocityLowColorIndex = readXmlSetting(xmlObj.settings.velocityLowColorIndex, defaults.velocityLowColorIndex);
+            this.velocityHighColorIndex = readXmlSetting(xmlObj.settings.velocityHighColorIndex, defaults.velocityHighColorIndex);
+            this.hitFxStyle = readXmlSetting(xmlObj.settings.hitFxStyle, defaults.hitFxStyle);
+            this.hitFxSize = readXmlSetting(xmlObj.settings.hitFxSize, defaults.hitFxSize);
+            this.hitFxDuration = readXmlSetting(xmlObj.settings.hitFxDuration, defaults.hitFxDuration);
+            this.noteRenderMode = readXmlSetting(xmlObj.settings.noteRenderMode, defaults.noteRenderMode);
 
             this.barLineYPos = parseInt(xmlObj.barLines.barLineYPos, 10);
             this.barLineBarHeight = parseInt(xmlObj.barLines.barLineBarHeight, 10);
             this.barLineBeatHeight = parseInt(xmlObj.barLines.barLineBeatHeight, 10);
             this.barLineFont = xmlObj.barLines.barLineFont;
             this.barLineFontSize = parseInt(xmlObj.barLines.barLineFontSize, 10);
+            this.createPedalLane = readXmlSetting(xmlObj.barLines.createPedalLane, defaults.createPedalLane);
+            this.pedalLaneYPos = readXmlSetting(xmlObj.barLines.pedalLaneYPos, defaults.pedalLaneYPos);
+            this.pedalLaneHeight = readXmlSetting(xmlObj.barLines.pedalLaneHeight, defaults.pedalLaneHeight);
 
             this.pianoKeysCreateIndicator = xmlObj.pianoKeys.pianoKeysCreateIndicator == "true" ? true : false;
             this.pianoKeysCreateKeys = xmlObj.pianoKeys.pianoKeysCreateKeys == "true" ? true : false;
@@ -1522,12 +2976,19 @@ function MidiCustomSettings() {
             this.pianoKeysGapSize = parseInt(xmlObj.pianoKeys.pianoKeysGapSize, 10);
             this.pianoKeysWhiteKeyWidth = parseInt(xmlObj.pianoKeys.pianoKeysWhiteKeyWidth, 10);
             this.pianoKeysBlackKeyWidth = parseInt(xmlObj.pianoKeys.pianoKeysBlackKeyWidth, 10);
+            this.pianoKeysAnimate = readXmlSetting(xmlObj.pianoKeys.pianoKeysAnimate, defaults.pianoKeysAnimate);
+            this.pianoKeysIdleOpacity = readXmlSetting(xmlObj.pianoKeys.pianoKeysIdleOpacity, defaults.pianoKeysIdleOpacity);
+            this.pianoKeysRoundness = readXmlSetting(xmlObj.pianoKeys.pianoKeysRoundness, defaults.pianoKeysRoundness);
+            this.pianoKeysBevel = readXmlSetting(xmlObj.pianoKeys.pianoKeysBevel, defaults.pianoKeysBevel);
+            this.pianoKeysBevelSize = readXmlSetting(xmlObj.pianoKeys.pianoKeysBevelSize, defaults.pianoKeysBevelSize);
             this.pianoKeysFont = xmlObj.pianoKeys.pianoKeysFont;
             this.pianoKeysFontSize = parseInt(xmlObj.pianoKeys.pianoKeysFontSize, 10);
 
 
             this.bpmSourceIndex = parseInt(xmlObj.settings.bpmSourceIndex, 10);
             this.timeSigSourceIndex = parseInt(xmlObj.settings.timeSigSourceIndex, 10);
+            this.pedalSourceIndex = readXmlSetting(xmlObj.settings.pedalSourceIndex, defaults.pedalSourceIndex);
+            this.lyricsSourceIndex = readXmlSetting(xmlObj.settings.lyricsSourceIndex, defaults.lyricsSourceIndex);
             this.trailingDuration = parseFloat(xmlObj.settings.trailingDuration);
             this.bpmChangeThreshold = parseFloat(xmlObj.settings.bpmChangeThreshold);
         } catch (error) {
@@ -1547,11 +3008,18 @@ function MidiCustomSettings() {
         xmlObj.settings.noteCompFramerate = this.noteCompFramerate;
         xmlObj.settings.resolutionWidth = this.resolutionWidth;
         xmlObj.settings.resolutionHeight = this.resolutionHeight;
+        xmlObj.settings.orientation = this.orientation;
+        xmlObj.settings.createCompMarkers = this.createCompMarkers;
 
         xmlObj.settings.bpmTextFont = this.bpmTextFont;
         xmlObj.settings.bpmTextFontSize = this.bpmTextFontSize;
         xmlObj.settings.createBpmText = this.createBpmText;
 
+        xmlObj.settings.lyricsTextFont = this.lyricsTextFont;
+        xmlObj.settings.lyricsTextFontSize = this.lyricsTextFontSize;
+        xmlObj.settings.lyricsTextYPos = this.lyricsTextYPos;
+        xmlObj.settings.createLyricsText = this.createLyricsText;
+
         xmlObj.settings.noteHitXOffset = this.noteHitXOffset;
         xmlObj.settings.noteYOffset = this.noteYOffset;
         xmlObj.settings.pitchBottomThreshold = this.pitchBottomThreshold;
@@ -1567,12 +3035,36 @@ function MidiCustomSettings() {
         xmlObj.settings.darkenBlackNotes = this.darkenBlackNotes;
         xmlObj.settings.darkenAmount = this.darkenAmount;
         xmlObj.settings.dropShadowBlurSize = this.dropShadowBlurSize;
+        xmlObj.settings.sustainPedalDurations = this.sustainPedalDurations;
+        xmlObj.settings.pitchBendAnimation = this.pitchBendAnimation;
+        xmlObj.settings.pitchBendRange = this.pitchBendRange;
+        xmlObj.settings.scrollControls = this.scrollControls;
+        xmlObj.settings.noteControls = this.noteControls;
+        xmlObj.settings.drumLanes = this.drumLanes;
+        xmlObj.settings.drumLaneHeight = this.drumLaneHeight;
+        xmlObj.settings.drumHitWidth = this.drumHitWidth;
+        xmlObj.settings.drumLaneFont = this.drumLaneFont;
+        xmlObj.settings.drumLaneFontSize = this.drumLaneFontSize;
+        xmlObj.settings.velocityMapping = this.velocityMapping;
+        xmlObj.settings.velocityCurve = this.velocityCurve;
+        xmlObj.settings.velocityRangeMin = this.velocityRangeMin;
+        xmlObj.settings.velocityRangeMax = this.velocityRangeMax;
+        xmlObj.settings.velocityMinAmount = this.velocityMinAmount;
+        xmlObj.settings.velocityLowColorIndex = this.velocityLowColorIndex;
+        xmlObj.settings.velocityHighColorIndex = this.velocityHighColorIndex;
+        xmlObj.settings.hitFxStyle = this.hitFxStyle;
+        xmlObj.settings.hitFxSize = this.hitFxSize;
+        xmlObj.settings.hitFxDuration = this.hitFxDuration;
+        xmlObj.settings.noteRenderMode = this.noteRenderMode;
 
         xmlObj.barLines.barLineYPos = this.barLineYPos;
         xmlObj.barLines.barLineBarHeight = this.barLineBarHeight;
         xmlObj.barLines.barLineBeatHeight = this.barLineBeatHeight;
         xmlObj.barLines.barLineFont = this.barLineFont;
         xmlObj.barLines.barLineFontSize = this.barLineFontSize;
+        xmlObj.barLines.createPedalLane = this.createPedalLane;
+        xmlObj.barLines.pedalLaneYPos = this.pedalLaneYPos;
+        xmlObj.barLines.pedalLaneHeight = this.pedalLaneHeight;
 
         xmlObj.pianoKeys.pianoKeysCreateIndicator = this.pianoKeysCreateIndicator;
         xmlObj.pianoKeys.pianoKeysCreateKeys = this.pianoKeysCreateKeys;
@@ -1580,11 +3072,18 @@ function MidiCustomSettings() {
         xmlObj.pianoKeys.pianoKeysGapSize = this.pianoKeysGapSize;
         xmlObj.pianoKeys.pianoKeysWhiteKeyWidth = this.pianoKeysWhiteKeyWidth;
         xmlObj.pianoKeys.pianoKeysBlackKeyWidth = this.pianoKeysBlackKeyWidth;
+        xmlObj.pianoKeys.pianoKeysAnimate = this.pianoKeysAnimate;
+        xmlObj.pianoKeys.pianoKeysIdleOpacity = this.pianoKeysIdleOpacity;
+        xmlObj.pianoKeys.pianoKeysRoundness = this.pianoKeysRoundness;
+        xmlObj.pianoKeys.pianoKeysBevel = this.pianoKeysBevel;
+        xmlObj.pianoKeys.pianoKeysBevelSize = this.pianoKeysBevelSize;
         xmlObj.pianoKeys.pianoKeysFont = this.pianoKeysFont;
         xmlObj.pianoKeys.pianoKeysFontSize = this.pianoKeysFontSize;
 
         xmlObj.settings.bpmSourceIndex = this.bpmSourceIndex;
         xmlObj.settings.timeSigSourceIndex = this.timeSigSourceIndex;
+        xmlObj.settings.pedalSourceIndex = this.pedalSourceIndex;
+        xmlObj.settings.lyricsSourceIndex = this.lyricsSourceIndex;
         xmlObj.settings.trailingDuration = this.trailingDuration;
         xmlObj.settings.bpmChangeThreshold = this.bpmChangeThreshold;
         if (hasWriteAndNetworkAccess()) {
@@ -1607,11 +3106,18 @@ function MidiCustomSettings() {
         this.noteCompFramerate = 30;
         this.resolutionWidth = 1920;
         this.resolutionHeight = 1080;
+        this.orientation = 0;
+        this.createCompMarkers = true;
 
         this.createBpmText = false;
         this.bpmTextFont = "Arial";
         this.bpmTextFontSize = 32;
 
+        this.createLyricsText = false;
+        this.lyricsTextFont = "Arial";
+        this.lyricsTextFontSize = 48;
+        this.lyricsTextYPos = 96;
+
         this.noteHitXOffset = 192;
         this.noteYOffset = 0;
         this.pitchBottomThreshold = 21;
@@ -1629,11 +3135,36 @@ function MidiCustomSettings() {
 
         this.dropShadowBlurSize = 16;
 
+        this.sustainPedalDurations = false;
+        this.pitchBendAnimation = false;
+        this.pitchBendRange = 2;
+        this.scrollControls = false;
+        this.noteControls = false;
+        this.drumLanes = false;
+        this.drumLaneHeight = 24;
+        this.drumHitWidth = 16;
+        this.drumLaneFont = "Arial";
+        this.drumLaneFontSize = 16;
+        this.velocityMapping = 0;
+        this.velocityCurve = 0;
+        this.velocityRangeMin = 1;
+        this.velocityRangeMax = 127;
+        this.velocityMinAmount = 25;
+        this.velocityLowColorIndex = 2;
+        this.velocityHighColorIndex = 1;
+        this.hitFxStyle = 0;
+        this.hitFxSize = 64;
+        this.hitFxDuration = 0.4;
+        this.noteRenderMode = 0;
+
         this.barLineYPos = 164;
         this.barLineBarHeight = 48;
         this.barLineBeatHeight = 16;
         this.barLineFont = "Arial-BoldMT";
         this.barLineFontSize = 36;
+        this.createPedalLane = false;
+        this.pedalLaneYPos = 96;
+        this.pedalLaneHeight = 12;
 
         this.pianoKeysCreateIndicator = true;
         this.pianoKeysCreateKeys = true;
@@ -1641,11 +3172,18 @@ function MidiCustomSettings() {
         this.pianoKeysGapSize = 32;
         this.pianoKeysWhiteKeyWidth = 24;
         this.pianoKeysBlackKeyWidth = 16;
+        this.pianoKeysAnimate = false;
+        this.pianoKeysIdleOpacity = 60;
+        this.pianoKeysRoundness = 4;
+        this.pianoKeysBevel = false;
+        this.pianoKeysBevelSize = 6;
         this.pianoKeysFont = "Arial-BoldMT";
         this.pianoKeysFontSize = 22;
 
         this.bpmSourceIndex = 0;
         this.timeSigSourceIndex = 0;
+        this.pedalSourceIndex = 0;
+        this.lyricsSourceIndex = 0;
         this.trailingDuration = 2.5;
         this.bpmChangeThreshold = 1;
     }
@@ -1655,6 +3193,11 @@ function getCurrentWorkingDirectory() {
     return (new File($.fileName)).parent.fsName;
 }
 
+// Filter for Folder.getFiles, matches Standard MIDI files (.mid, .midi), karaoke files (.kar) and RIFF MIDI files (.rmi)
+function isMidiFileName(file) {
+    return file instanceof File && /\.(mid|midi|kar|rmi)$/i.test(File.decode(file.name));
+}
+
 function readSettingsFile() {
     var filePath = getCurrentWorkingDirectory() + "\\pq_midi_settings.xml";
     var xmlFile = new File(filePath);
@@ -1715,9 +3258,22 @@ function handleSelectionUpdate() {
     if (midiWndw.midiContainer.midiListBox.selection != null) {
         var selection = getSelectedIndices();
 
+        var node = selection[0].node;
+        // Tracks and channels can inherit the color, files can't
+        var hasInherit = !(node instanceof MidiConfig);
+
         midiWndw.findElement("selectionText").text = "Selection: " + getSelectedText(false);
         midiWndw.findElement("midiNameEditText").text = getSelectedText(true);
-        colorDropdownList.selection = midiConfigs[selection[0].index].selectedColorIndex;
+        updateColorDropdownList(hasInherit);
+        colorDropdownList.selection = node.selectedColorIndex + (hasInherit ? 1 : 0);
+        splitGroup.enabled = !hasInherit;
+        filtersPanel.enabled = !hasInherit;
+        if (!hasInherit) {
+            splitDropdownList.selection = node.splitMode;
+            for (var property in filterEditTexts)
+                filterEditTexts[property].text = node[property];
+        }
+        includeCheckBox.value = node.include;
 
         midiWndw.midiContainer.configGroup.visible = true;
     } else {
@@ -1731,131 +3287,348 @@ function getSelectedIndices() {
     return midiWndw.midiContainer.midiListBox.selection;
 }
 
+// A color index of -1 makes tracks and channels inherit the color, files keep their color in that case
 function setColorForSelectedConfigs(colorIndex) {
     var selection = getSelectedIndices();
     for (var i = 0; i < selection.length; i++) {
-        midiConfigs[selection[i].index].selectedColorIndex = colorIndex;
+        if (colorIndex >= 0 || !(selection[i].node instanceof MidiConfig))
+            selection[i].node.selectedColorIndex = colorIndex;
+    }
+    updateListBoxData();
+}
+
+function setSplitModeForSelectedConfigs(splitMode) {
+    var selection = getSelectedIndices();
+    for (var i = 0; i < selection.length; i++) {
+        if (selection[i].node instanceof MidiConfig)
+            selection[i].node.splitMode = splitMode;
+    }
+}
+
+// Filters only exist for files
+function setFilterForSelectedConfigs(property, value) {
+    var selection = getSelectedIndices();
+    for (var i = 0; i < selection.length; i++) {
+        if (selection[i].node instanceof MidiConfig)
+            selection[i].node[property] = value;
+    }
+}
+
+function setIncludeForSelectedConfigs(include) {
+    var selection = getSelectedIndices();
+    for (var i = 0; i < selection.length; i++) {
+        selection[i].node.include = include;
     }
     updateListBoxData();
 }
 
+function updateColorDropdownList(hasInherit) {
+    colorDropdownList.removeAll();
+    if (hasInherit)
+        colorDropdownList.add("Item", "Inherit");
+    for (var i = 0; i < midiCustomSettings.presetColors.length; i++) {
+        colorDropdownList.add("Item", midiCustomSettings.presetColors[i].name);
+    }
+}
+
 function getSelectedText(emptyIfMultiselect) {
     var selection = getSelectedIndices();
     var isSame = true;
-    var name = midiConfigs[selection[0].index].name;
+    var name = selection[0].node.name;
     for (var i = 0; i < selection.length; i++) {
-        if (midiConfigs[selection[i].index].name != name) {
+        if (selection[i].node.name != name) {
             isSame = false;
             name = emptyIfMultiselect ? "" : "Different names selected";
             break;
         }
-        name = midiConfigs[selection[i].index].name;
+        name = selection[i].node.name;
     }
     return name + (emptyIfMultiselect ? "" : " (" + selection.length + " selected)");
 }
 
 function getColorNameOfIndex(index) {
-    return colorDropdownList.items[index].toString();
+    if (index < 0)
+        return "Inherit";
+    return midiCustomSettings.presetColors[index].name;
+}
+
+// Text of a list box item, tracks and channels are indented below their file
+function getListBoxItemText(node) {
+    var text;
+    if (node instanceof MidiConfig)
+        text = node.name + " (" + node.fileName + ")";
+    else if (node instanceof TrackConfig)
+        text = "      Track " + (node.index + 1) + ": " + node.name;
+    else
+        text = "            Channel " + (node.index % 16 + 1) + ": " + node.name;
+    return text + " \/\/ Color: " + getColorNameOfIndex(node.selectedColorIndex) + (node.include ? "" : " \/\/ Excluded");
+}
+
+function addListBoxItem(node) {
+    var item = midiWndw.midiContainer.midiListBox.add("item", getListBoxItemText(node));
+    item.node = node;
+}
+
+// Lists every file with its tracks and channels below it
+function fillListBox() {
+    midiWndw.midiContainer.midiListBox.removeAll();
+    for (var i = 0; i < midiConfigs.length; i++) {
+        addListBoxItem(midiConfigs[i]);
+        for (var j = 0; j < midiConfigs[i].trackConfigs.length; j++) {
+            var trackConfig = midiConfigs[i].trackConfigs[j];
+            if (!trackConfig)
+                continue;
+            addListBoxItem(trackConfig);
+            for (var k = 0; k < trackConfig.channelConfigs.length; k++) {
+                addListBoxItem(trackConfig.channelConfigs[k]);
+            }
+        }
+    }
 }
 
 function updateListBoxData() {
     var selection = getSelectedIndices();
     for (var i = 0; i < selection.length; i++) {
-        selection[i].text = midiConfigs[selection[i].index].name + " (" + midiConfigs[selection[i].index].fileName + ")" + " \/\/ Color: " + getColorNameOfIndex(midiConfigs[selection[i].index].selectedColorIndex);
+        selection[i].text = getListBoxItemText(selection[i].node);
     }
 }
 
-function createBarLines(timeSigMap, bpmMap, tempoMap, timeDivision, latestMidiNote) {
-    midiWndw.pb.updateTotal("Creating Bar Lines", 35);
+// Creates a comp, or in regenerate mode, reuses the comp that was generated with the same name before.
+// The comp is found by the tag in its comment. A reused comp keeps its identity and the layers that weren't generated,
+// so that pre-comps, render queue items and edits survive. See tagGeneratedLayers.
+// The comp is put into the given subfolder of the project folder, or into the project folder itself if the subfolder is null
+function addGeneratedComp(name, duration, frameRate, subfolderName) {
+    var tag = "MIDI Visualizer: " + name;
+    var comp = regenerateCheckBox.value ? findGeneratedComp(tag) : null;
+    var layersAbove = 0;
+    var reusableLayers = new Array();
+    if (comp == null) {
+        comp = app.project.items.addComp(name, midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, duration, frameRate);
+        comp.comment = tag;
+    } else {
+        comp.width = midiCustomSettings.resolutionWidth;
+        comp.height = midiCustomSettings.resolutionHeight;
+        comp.duration = duration;
+        comp.frameRate = frameRate;
+        // Parenting keeps a layer where it is at the current time, which has to be the start like in a new comp
+        comp.time = 0;
+        layersAbove = getLayersAboveGeneratedLayers(comp);
+        reusableLayers = removeGeneratedLayers(comp);
+        removeGeneratedMarkers(comp);
+    }
+    moveToProjectFolder(comp, subfolderName);
+
+    var generatedComp = new Object();
+    generatedComp.comp = comp;
+    generatedComp.keptLayers = comp.numLayers;
+    generatedComp.layersAbove = layersAbove;
+    generatedComp.reusableLayers = reusableLayers;
+    generatedComps.push(generatedComp);
+    return comp;
+}
 
-    var currentTime = 0;
-    var currentBpm = bpmMap[0];
+// Comps that were already used in this run are skipped, in case two files have the same name
+function findGeneratedComp(tag) {
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (!(item instanceof CompItem) || item.comment != tag)
+            continue;
+
+        var isUsed = false;
+        for (var j = 0; j < generatedComps.length; j++) {
+            if (generatedComps[j].comp == item)
+                isUsed = true;
+        }
+        if (!isUsed)
+            return item;
+    }
+    return null;
+}
 
-    var scrollerComp = app.project.items.addComp("_BarLines Scroller", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, latestMidiNote, midiCustomSettings.scrollCompFramerate);
-    var scroller = scrollerComp.layers.addNull();
-    scroller.name = "Scroller";
-    scroller.property("transform").property("position").setValueAtTime(0, [0, scrollerComp.height / 2]);
-    scroller.property("transform").property("position").setSpatialAutoBezierAtKey(1, false);
+// The layers the user put on top of the generated layers, which stay on top of the new layers (see tagGeneratedLayers)
+function getLayersAboveGeneratedLayers(comp) {
+    for (var i = 1; i <= comp.numLayers; i++) {
+        if (comp.layer(i).comment == "MIDI Visualizer")
+            return i - 1;
+    }
+    return 0;
+}
 
-    if (midiCustomSettings.bpmBasedSpeed)
-        addScrollerKeyframes(scrollerComp, bpmMap, scroller, latestMidiNote);
-    else
-        scroller.property("transform").property("position").setValueAtTime(latestMidiNote, [(latestMidiNote * midiCustomSettings.velocityPerSecond) * -1, scrollerComp.height / 2]);
+// Removes the layers that were tagged by tagGeneratedLayers.
+// Pre-comp layers that aren't parented and the Scroller and MIDI Controls nulls are kept and returned instead,
+// so that the changes to them survive (see reuseGeneratedLayer)
+function removeGeneratedLayers(comp) {
+    var removedLayers = new Array();
+    var reusableLayers = new Array();
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        if (layer.comment != "MIDI Visualizer")
+            continue;
+
+        if ((layer.source instanceof CompItem && layer.parent == null) || (layer.nullLayer && (layer.name == "Scroller" || layer.name == "MIDI Controls")))
+            reusableLayers.push(layer);
+        else
+            removedLayers.push(layer);
+    }
+    for (var i = 0; i < removedLayers.length; i++)
+        removeGeneratedLayer(removedLayers[i]);
+    return reusableLayers;
+}
+
+// Removes the layer, and its solid if it isn't used anymore
+function removeGeneratedLayer(layer) {
+    var source = layer.source;
+    layer.locked = false;
+    layer.remove();
+    if (source && source.mainSource instanceof SolidSource && source.usedIn.length == 0)
+        source.remove();
+}
 
-    var comp = app.project.items.addComp("BarLines", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, latestMidiNote, 30);
+// Takes the first layer that removeGeneratedLayers kept in the comp and that matches. Returns null if there is none
+function reuseGeneratedLayer(comp, matches) {
+    for (var i = 0; i < generatedComps.length; i++) {
+        if (generatedComps[i].comp != comp)
+            continue;
+
+        var layers = generatedComps[i].reusableLayers;
+        for (var j = 0; j < layers.length; j++) {
+            if (matches(layers[j])) {
+                var layer = layers[j];
+                layers.splice(j, 1);
+                return layer;
+            }
+        }
+    }
+    return null;
+}
+
+// Adds a pre-comp layer, or reuses the one of the last run
+function addGeneratedCompLayer(comp, sourceComp) {
+    var layer = reuseGeneratedLayer(comp, function(layer) {
+        return layer.source == sourceComp;
+    });
+    return layer != null ? layer : comp.layers.add(sourceComp);
+}
+
+// Comp markers have no comment of their own, so the generated ones are tagged by a parameter (see addMidiMarkers).
+// The markers the user added stay
+function removeGeneratedMarkers(comp) {
+    var markers = comp.markerProperty;
+    for (var i = markers.numKeys; i >= 1; i--) {
+        if (markers.keyValue(i).getParameters()["MIDI Visualizer"])
+            markers.removeKey(i);
+    }
+}
+
+// Adds a control to the effects of a controls null, unless the null was reused and already has it with the value the user has set
+function addControlEffect(effects, matchName, name, value) {
+    var control = effects.property(name);
+    if (control != null)
+        return control;
+
+    control = effects.addProperty(matchName);
+    control.name = name;
+    control.property(matchName + "-0001").setValue(value);
+    return control;
+}
+
+// New layers are added on top, so everything above the layers that were kept by addGeneratedComp has been generated.
+// The solids of the generated layers (including nulls) are moved out of the Solids folder into the project folder
+function tagGeneratedLayers() {
+    for (var i = 0; i < generatedComps.length; i++) {
+        var comp = generatedComps[i].comp;
+        var newLayers = comp.numLayers - generatedComps[i].keptLayers;
+        for (var j = 1; j <= newLayers; j++) {
+            var layer = comp.layer(j);
+            layer.comment = "MIDI Visualizer";
+            if (layer.source && layer.source.mainSource instanceof SolidSource) {
+                // After Effects puts new solids into its own Solids folder, which is left empty when they are moved
+                var solidsFolder = layer.source.parentFolder;
+                moveToProjectFolder(layer.source, "Solids");
+                if (solidsFolder != app.project.rootFolder && solidsFolder.numItems == 0)
+                    solidsFolder.remove();
+            }
+        }
+
+        // Move the new layers back to where the generated layers were, below the layers the user put on top of them
+        var layersAbove = generatedComps[i].layersAbove;
+        for (var j = 0; layersAbove > 0 && j < newLayers; j++)
+            comp.layer(1).moveAfter(comp.layer(newLayers + layersAbove));
+
+        // Kept layers that weren't reused aren't generated anymore, e.g. because the setting was turned off
+        var reusableLayers = generatedComps[i].reusableLayers;
+        for (var j = 0; j < reusableLayers.length; j++)
+            removeGeneratedLayer(reusableLayers[j]);
+    }
+    generatedComps = new Array();
+}
+
+// Gets the folder with the given name inside the parent folder, or creates it.
+// The folders are tagged in their comment like the comps, so that a folder of the user with the same name isn't used
+function getProjectFolder(name, parentFolder) {
+    for (var i = 1; i <= parentFolder.numItems; i++) {
+        var item = parentFolder.item(i);
+        if (item instanceof FolderItem && item.name == name && item.comment == "MIDI Visualizer")
+            return item;
+    }
+    var folder = app.project.items.addFolder(name);
+    folder.parentFolder = parentFolder;
+    folder.comment = "MIDI Visualizer";
+    return folder;
+}
+
+// Without a project folder name, the items stay where After Effects puts them
+function moveToProjectFolder(item, subfolderName) {
+    if (projectFolderEditText.text == "")
+        return;
+
+    var folder = getProjectFolder(projectFolderEditText.text, app.project.rootFolder);
+    if (subfolderName != null)
+        folder = getProjectFolder(subfolderName, folder);
+    item.parentFolder = folder;
+}
+
+// Bar lines are placed in beats (quarter notes), converted to seconds by the MIDI file that the time signatures are taken from
+function createBarLines(timeSigMap, bpmMap, midiFile, latestMidiNote) {
+    midiWndw.pb.updateTotal("Creating Bar Lines", 35);
+
+    var scrollerComp = addGeneratedComp("_BarLines Scroller", latestMidiNote, midiCustomSettings.scrollCompFramerate, "Scrollers");
+    var scroller = addScroller(scrollerComp, bpmMap, latestMidiNote);
+
+    var comp = addGeneratedComp("BarLines", latestMidiNote, 30, "Bar Lines");
     var compLayer = scrollerComp.layers.add(comp);
     compLayer.parent = scroller;
 
     // This makes it so that the comps don't get cropped off
     compLayer.collapseTransformation = true;
+    if (midiCustomSettings.scrollControls)
+        addScrollControls(scroller, compLayer);
 
-    var tempoIndex = 0;
-    var timeSigIndex = 0;
-    var currentTick = 0;
-
-    var yPos = midiCustomSettings.barLineYPos;
+    var yPos = midiCustomSettings.barLineYPos; // From the top, or from the left in vertical orientation
     var barHeight = midiCustomSettings.barLineBarHeight;
     var beatHeight = midiCustomSettings.barLineBeatHeight;
 
     var stepNumber = 1;
     var barNumber = 1;
-    var currentMicrosecondsPerQuarterNote = tempoMap[0].microsecondsPerQuarterNote;
 
-    var metronomeTickCount = (midiWndw.halfSpeedCheckbox.value == true ? 2 : 1) * Math.floor((timeDivision * (4 / timeSigMap[timeSigIndex].denominator)));
-    var metronomeTickDeltaSeconds = (currentMicrosecondsPerQuarterNote * metronomeTickCount) / timeDivision / 1000000;
-    var tCounter = 0;
+    var timeSignature = new TimeSignature(0, 4, 4, 24, 8); // Used until the first time signature event
+    var timeSigIndex = -1;
+    var currentBeats = 0;
+    var currentTime = 0;
     while (currentTime <= latestMidiNote) {
-        var deltaSeconds = 0;
-
-        var prevTickCounter = currentTick;
-        var deltaTickCounter = 0;
-
-        var targetTick = currentTick + (midiWndw.halfSpeedCheckbox.value == true ? 2 : 1) * Math.floor((timeDivision * (4 / timeSigMap[timeSigIndex].denominator)));
-
-        while (currentTick < targetTick) {
-            if (timeSigIndex + 1 < timeSigMap.length && currentTick + (targetTick - currentTick) >= timeSigMap[timeSigIndex + 1].tick) {
-                // TODO: Test if this part actually works
-                timeSigIndex++;
-                stepNumber = 1;
-                barNumber++;
-
-                currentTick = timeSigMap[timeSigIndex].tick;
-                deltaTickCounter = currentTick - prevTickCounter;
-
-                var metronomeTickCount = (midiWndw.halfSpeedCheckbox.value == true ? 2 : 1) * Math.floor((timeDivision * (4 / timeSigMap[timeSigIndex].denominator)));
-                var metronomeTickDeltaSeconds = (currentMicrosecondsPerQuarterNote * metronomeTickCount) / timeDivision / 1000000;
-
-                deltaSeconds += (midiWndw.halfSpeedCheckbox.value == true ? 0.5 : 1) * (currentMicrosecondsPerQuarterNote * deltaTickCounter) / timeDivision / 1000000;
-                prevTickCounter = currentTick;
-                break;
-            }
-            currentMicrosecondsPerQuarterNote = (midiWndw.halfSpeedCheckbox.value == true ? 2 : 1) * tempoMap[tempoIndex].microsecondsPerQuarterNote;
-            do {
-                if (tempoIndex < tempoMap.length) {
-                    if (tempoIndex + 1 >= tempoMap.length) {
-                        currentTick = targetTick;
-                    } else if (targetTick <= tempoMap[tempoIndex + 1].tick) {
-                        currentTick = targetTick;
-                    } else {
-                        currentTick = tempoMap[tempoIndex + 1].tick;
-                        tempoIndex++;
-                    }
-                } else {
-                    currentTick = targetTick;
-                }
-                deltaTickCounter = currentTick - prevTickCounter;
-                deltaSeconds += (midiWndw.halfSpeedCheckbox.value == true ? 0.5 : 1) * (currentMicrosecondsPerQuarterNote * deltaTickCounter) / timeDivision / 1000000;
-                prevTickCounter = currentTick;
-            } while (tempoIndex + 1 < tempoMap.length && targetTick > tempoMap[tempoIndex + 1].tick);
+        // A time signature change in the middle of a bar doesn't start a new bar, the beats are counted on from its position
+        while (timeSigIndex + 1 < timeSigMap.length && timeSigMap[timeSigIndex + 1].beats <= currentBeats + 0.0001) {
+            timeSigIndex++;
+            timeSignature = timeSigMap[timeSigIndex];
+            currentBeats = timeSignature.beats;
+            currentTime = midiFile.getTime(midiFile.getTickOfBeats(currentBeats));
         }
-        if (stepNumber > timeSigMap[timeSigIndex].numerator) {
+        if (stepNumber > timeSignature.numerator) {
             stepNumber = 1;
             barNumber++;
         }
 
-        var speedMultiplier = midiCustomSettings.bpmBasedSpeed ? (60000000.0 / tempoMap[0].microsecondsPerQuarterNote) / 120.0 : 1;
-        var xPos = midiCustomSettings.noteHitXOffset + ((metronomeTickDeltaSeconds * tCounter) * midiCustomSettings.velocityPerSecond * speedMultiplier);
-        tCounter++;
+        var timePos = getXPositionAndWidthOfNote(currentTime, 0, bpmMap)[0];
 
         if (stepNumber == 1) {
             var barTextLayer = comp.layers.addText();
@@ -1870,16 +3643,20 @@ function createBarLines(timeSigMap, bpmMap, tempoMap, timeDivision, latestMidiNo
             barTextDocument.fontSize = midiCustomSettings.barLineFontSize;
             barText.setValue(barTextDocument);
 
-            barTextLayer.property("transform").property("position").setValue([xPos + 16, yPos + barHeight]);
+            barTextLayer.property("transform").property("position").setValue(getCompPosition(timePos + 16, getPitchPositionFromEdge(yPos + barHeight)));
         }
+        var currentTick = midiFile.getTickOfBeats(currentBeats);
         var height = stepNumber == 1 ? barHeight : beatHeight;
-        var solid = comp.layers.addSolid([1, 1, 1], barNumber + ":" + stepNumber + " (" + Math.floor(currentTime / 60) + "m" + Math.floor(currentTime) % 60 + "s, " + tempoMap[tempoIndex].microsecondsPerQuarterNote + " ms/qn)", 4, height, 1.0);
-        solid.property("transform").property("position").setValue([xPos, yPos]);
-        solid.property("transform").property("anchorPoint").setValue([2, 0]);
+        var solidSize = getCompSize(4, height);
+        var solid = comp.layers.addSolid([1, 1, 1], barNumber + ":" + stepNumber + " (" + Math.floor(currentTime / 60) + "m" + Math.floor(currentTime) % 60 + "s, " + midiFile.getTempo(currentTick) + " ms/qn)", solidSize[0], solidSize[1], 1.0);
+        solid.property("transform").property("position").setValue(getCompPosition(timePos, getPitchPositionFromEdge(yPos)));
+        // The line starts at the edge side of the solid
+        solid.property("transform").property("anchorPoint").setValue(getCompSize(2, 0));
 
-        midiWndw.pb.updateCurrent("Progress: " + Math.floor(currentTime / latestMidiNote * 100) + "% (" + Math.floor(currentTime / 60) + "m" + Math.floor(currentTime) % 60 + "s, " + barNumber + ":" + stepNumber + ") " + deltaSeconds, currentTime / latestMidiNote * 100);
+        midiWndw.pb.updateCurrent("Progress: " + Math.floor(currentTime / latestMidiNote * 100) + "% (" + Math.floor(currentTime / 60) + "m" + Math.floor(currentTime) % 60 + "s, " + barNumber + ":" + stepNumber + ")", currentTime / latestMidiNote * 100);
 
-        currentTime += deltaSeconds;
+        currentBeats += 4 / timeSignature.denominator;
+        currentTime = midiFile.getTime(midiFile.getTickOfBeats(currentBeats));
         stepNumber++;
         if (midiWndw.pb.isCanceled) {
             break;
@@ -1888,51 +3665,242 @@ function createBarLines(timeSigMap, bpmMap, tempoMap, timeDivision, latestMidiNo
     return comp;
 }
 
-function createPianoKeys() {
+function createPedalLane(midiFile, bpmMap, latestMidiNote) {
+    midiWndw.pb.updateTotal("Creating Pedal Lane", 40);
+
+    var scrollerComp = addGeneratedComp("_PedalLane Scroller", latestMidiNote, midiCustomSettings.scrollCompFramerate, "Scrollers");
+    var scroller = addScroller(scrollerComp, bpmMap, latestMidiNote);
+
+    var comp = addGeneratedComp("PedalLane", latestMidiNote, 30, "Bar Lines");
+    var compLayer = scrollerComp.layers.add(comp);
+    compLayer.parent = scroller;
+
+    // This makes it so that the comps don't get cropped off
+    compLayer.collapseTransformation = true;
+    if (midiCustomSettings.scrollControls)
+        addScrollControls(scroller, compLayer);
+
+    var regions = midiFile.getMergedSustainRegions();
+
+    var yPos = midiCustomSettings.pedalLaneYPos; // From the top, or from the left in vertical orientation
+    var height = midiCustomSettings.pedalLaneHeight;
+    for (var i = 0; i < regions.length; i++) {
+        var timePosAndLength = getXPositionAndWidthOfNote(regions[i].time, regions[i].durTime, bpmMap);
+
+        var shape = comp.layers.addShape();
+        var contents = shape.property("Contents");
+        contents.addProperty("ADBE Vector Shape - Rect");
+        contents.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue([1, 1, 1, 1]);
+        contents.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue(getCompSize(timePosAndLength[1], height));
+
+        // The region starts at the pedal press and extends away from the edge
+        shape.property("transform").property("position").setValue(getCompPosition(timePosAndLength[0], getPitchPositionFromEdge(yPos)));
+        if (isVertical())
+            shape.property("transform").property("anchorPoint").setValue([height * -0.5, timePosAndLength[1] * 0.5]);
+        else
+            shape.property("transform").property("anchorPoint").setValue([timePosAndLength[1] * -0.5, height * -0.5]);
+        shape.name = "Pedal " + (i + 1) + " (" + Math.floor(regions[i].time / 60) + "m" + Math.floor(regions[i].time) % 60 + "s, Dur: " + regions[i].durTime + ")";
+
+        midiWndw.pb.updateCurrent("Progress: " + Math.floor((i + 1) / regions.length * 100) + "%", (i + 1) / regions.length * 100);
+        if (midiWndw.pb.isCanceled) {
+            break;
+        }
+    }
+    return comp;
+}
+
+// Collects the notes that press each key, indexed by pitch and sorted by time, with the color they are visualized in
+function getPianoKeyHits(midiFiles) {
+    var keyHits = new Array();
+    var partIndex = 0;
+    for (var i = 0; i < midiFiles.length; i++) {
+        var parts = getNoteParts(midiFiles[i], midiConfigs[i]);
+        for (var j = 0; j < parts.length; j++, partIndex++) {
+            var colorIndex = getPartColorIndex(midiConfigs[i], j);
+            for (var k = 0; k < parts[j].notes.length; k++) {
+                var note = parts[j].notes[k];
+                if (midiCustomSettings.drumLanes && isDrumChannel(note.channel)) // Drums don't play keys when they have their own lanes
+                    continue;
+
+                if (!keyHits[note.pitch])
+                    keyHits[note.pitch] = new Array();
+                var hit = new Object();
+                hit.time = note.time;
+                hit.end = note.time + note.durTime;
+                hit.color = midiCustomSettings.presetColors[getNoteColorIndex(midiConfigs[i], note.channel, colorIndex)].color;
+                hit.colorName = midiCustomSettings.presetColors[getNoteColorIndex(midiConfigs[i], note.channel, colorIndex)].name;
+                hit.partIndex = partIndex; // The index of the notes comp, see linkPianoKeyColors
+                keyHits[note.pitch].push(hit);
+            }
+        }
+    }
+
+    for (var i = 0; i < keyHits.length; i++) {
+        if (keyHits[i]) {
+            keyHits[i].sort(function(a, b) {
+                return a.time - b.time;
+            });
+        }
+    }
+    return keyHits;
+}
+
+// Colors the key while it is held down. Overlapping notes keep the key down and it takes the color of the latest one
+function animatePianoKey(key, fillColor, hits) {
+    var idleColor = fillColor.value;
+    var opacity = key.property("transform").property("opacity");
+    if (hits.length == 0) {
+        opacity.setValue(midiCustomSettings.pianoKeysIdleOpacity);
+        return;
+    }
+
+    fillColor.setValueAtTime(0, idleColor);
+    opacity.setValueAtTime(0, midiCustomSettings.pianoKeysIdleOpacity);
+
+    var releaseTime = 0;
+    for (var i = 0; i < hits.length; i++) {
+        if (i > 0 && hits[i].time > releaseTime) {
+            fillColor.setValueAtTime(releaseTime, idleColor);
+            opacity.setValueAtTime(releaseTime, midiCustomSettings.pianoKeysIdleOpacity);
+        }
+        fillColor.setValueAtTime(hits[i].time, hits[i].color);
+        opacity.setValueAtTime(hits[i].time, 100);
+        releaseTime = Math.max(releaseTime, hits[i].end);
+    }
+    fillColor.setValueAtTime(releaseTime, idleColor);
+    opacity.setValueAtTime(releaseTime, midiCustomSettings.pianoKeysIdleOpacity);
+
+    for (var i = 1; i <= fillColor.numKeys; i++)
+        fillColor.setInterpolationTypeAtKey(i, KeyframeInterpolationType.HOLD);
+    for (var i = 1; i <= opacity.numKeys; i++)
+        opacity.setInterpolationTypeAtKey(i, KeyframeInterpolationType.HOLD);
+}
+
+// Gets the lower and upper edge of a key on the pitch axis.
+// Black keys are as big as their notes. White keys reach the middle of the neighbouring white keys, so that they have no gaps and the black keys cover their edges
+function getPianoKeyEdges(pitch) {
+    var key = getPitchPositionAndSize(pitch);
+    var lowerEdge = key[0] - key[1] / 2;
+    var upperEdge = key[0] + key[1] / 2;
+    if (isBlackNote(pitch))
+        return [lowerEdge, upperEdge];
+
+    var previousWhiteKey = isBlackNote(pitch - 1) ? pitch - 2 : pitch - 1;
+    var nextWhiteKey = isBlackNote(pitch + 1) ? pitch + 2 : pitch + 1;
+    if (previousWhiteKey >= midiCustomSettings.pitchBottomThreshold)
+        lowerEdge = (getPitchPositionAndSize(previousWhiteKey)[0] + key[0]) / 2;
+    if (nextWhiteKey <= midiCustomSettings.pitchTopThreshold)
+        upperEdge = (getPitchPositionAndSize(nextWhiteKey)[0] + key[0]) / 2;
+    return [lowerEdge, upperEdge];
+}
+
+// Adds a rectangle with a fill in its own group, so that the fill doesn't paint the other rectangles of the layer
+function addPianoKeyRect(contents, name, size, position, color) {
+    var group = contents.addProperty("ADBE Vector Group");
+    group.name = name;
+    var rect = group.property("Contents").addProperty("ADBE Vector Shape - Rect");
+    rect.property("ADBE Vector Rect Size").setValue(size);
+    rect.property("ADBE Vector Rect Position").setValue(position);
+    rect.property("ADBE Vector Rect Roundness").setValue(midiCustomSettings.pianoKeysRoundness);
+    var fill = group.property("Contents").addProperty("ADBE Vector Graphic - Fill");
+    fill.property("ADBE Vector Fill Color").setValue(color);
+    return fill;
+}
+
+// Draws a key as a shape layer. Pass the notes that hit the key to animate it, or null for a still key
+function createPianoKey(comp, pitch, keyStart, hits) {
+    var isBlack = isBlackNote(pitch);
+    var length = isBlack ? midiCustomSettings.pianoKeysBlackKeyWidth : midiCustomSettings.pianoKeysWhiteKeyWidth;
+    var start = isBlack ? keyStart + midiCustomSettings.pianoKeysWhiteKeyWidth - length : keyStart;
+    var edges = getPianoKeyEdges(pitch);
+    // Leave a thin line between the white keys
+    var size = isBlack ? edges[1] - edges[0] : edges[1] - edges[0] - 2;
+
+    var key = comp.layers.addShape();
+    key.name = getKeyName(pitch);
+    key.property("transform").property("position").setValue(getCompPosition(start + length / 2, (edges[0] + edges[1]) / 2));
+
+    // The bevel is added first, so that it is drawn on top of the key
+    var contents = key.property("Contents");
+    if (midiCustomSettings.pianoKeysBevel) {
+        // The front of the key, the side facing the notes, is darker on white keys and lighter on black keys
+        var bevelSize = Math.min(midiCustomSettings.pianoKeysBevelSize, length);
+        var bevelOffset = (length - bevelSize) / 2;
+        var bevelFill = addPianoKeyRect(contents, "Bevel", getCompSize(bevelSize, size), isVertical() ? [0, -bevelOffset] : [bevelOffset, 0],
+            isBlack ? [1, 1, 1, 1] : [0, 0, 0, 1]);
+        bevelFill.property("ADBE Vector Fill Opacity").setValue(25);
+    }
+    var fill = addPianoKeyRect(contents, "Key", getCompSize(length, size), [0, 0], isBlack ? [0.1, 0.1, 0.1, 1] : [1, 1, 1, 1]);
+
+    if (hits)
+        animatePianoKey(key, fill.property("ADBE Vector Fill Color"), hits);
+    return key;
+}
+
+// Without key hits, the comp is a still image. With key hits, the keys are animated and the comp is as long as the scrollers
+function createPianoKeys(latestMidiNote, keyHits) {
     midiWndw.pb.updateTotal("Creating Piano Keys", 50);
-    var comp = app.project.items.addComp("PianoKeys", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, 2, 1);
+    var comp;
+    if (keyHits)
+        comp = addGeneratedComp("PianoKeys", latestMidiNote, midiCustomSettings.scrollCompFramerate, "Piano Keys");
+    else
+        comp = addGeneratedComp("PianoKeys", 2, 1, "Piano Keys");
 
     var indicatorWidth = midiCustomSettings.pianoKeysIndicatorWidth;
     var gapSize = midiCustomSettings.pianoKeysGapSize;
     if (midiCustomSettings.pianoKeysCreateIndicator) {
-        var noteOnIndicator = comp.layers.addSolid([1, 1, 1], "NoteOnIndicator", indicatorWidth, comp.height, 1.0);
-        noteOnIndicator.property("transform").property("position").setValue([midiCustomSettings.noteHitXOffset - (indicatorWidth / 2), comp.height / 2]);
+        var indicatorSize = isVertical() ? [comp.width, indicatorWidth] : [indicatorWidth, comp.height];
+        var noteOnIndicator = comp.layers.addSolid([1, 1, 1], "NoteOnIndicator", indicatorSize[0], indicatorSize[1], 1.0);
+        if (isVertical())
+            noteOnIndicator.property("transform").property("position").setValue([comp.width / 2, comp.height - (midiCustomSettings.noteHitXOffset - (indicatorWidth / 2))]);
+        else
+            noteOnIndicator.property("transform").property("position").setValue([midiCustomSettings.noteHitXOffset - (indicatorWidth / 2), comp.height / 2]);
     }
     if (midiCustomSettings.pianoKeysCreateKeys) {
-        for (var i = midiCustomSettings.pitchBottomThreshold; i <= midiCustomSettings.pitchTopThreshold; i++) {
-            var yPos = midiCustomSettings.resolutionHeight - getYPositionAndHeightOfKey(i)[0];
-
-            if (i % 12 == 0) { // Is it a C?
-                var width = midiCustomSettings.pianoKeysWhiteKeyWidth;
-
-                var cKeyTextLayer = comp.layers.addText();
-                var cKeyText = cKeyTextLayer.property("Source Text");
-
-                var cKeyTextDocument = new TextDocument("C" + Math.floor(i / 12));
-                cKeyText.setValue(cKeyTextDocument);
-                cKeyTextDocument = cKeyText.value;
-                cKeyTextDocument.font = midiCustomSettings.pianoKeysFont;
-                cKeyTextDocument.justification = ParagraphJustification.RIGHT_JUSTIFY;
-                cKeyTextDocument.fillColor = [1, 1, 1];
-                cKeyTextDocument.fontSize = midiCustomSettings.pianoKeysFontSize;
-                cKeyText.setValue(cKeyTextDocument);
-
-                var xPos = ((midiCustomSettings.noteHitXOffset - (indicatorWidth / 2)) + width / 2) - gapSize;
-                cKeyTextLayer.property("transform").property("position").setValue([xPos - 24, yPos + cKeyTextLayer.sourceRectAtTime(0, true).height / 2]);
-            } else {
-                var width = isBlackNote(i) ? midiCustomSettings.pianoKeysBlackKeyWidth : midiCustomSettings.pianoKeysWhiteKeyWidth;
-                var xPos = ((midiCustomSettings.noteHitXOffset - (indicatorWidth / 2)) + width / 2) - gapSize;
+        // The keys start at the gap before the indicator and the black keys end with the white keys on the side of the notes
+        var keyStart = (midiCustomSettings.noteHitXOffset - (indicatorWidth / 2)) - gapSize;
+        var keyCount = midiCustomSettings.pitchTopThreshold - midiCustomSettings.pitchBottomThreshold + 1;
+        var keysCreated = 0;
+        // White keys first, so that the black keys are drawn on top of them
+        for (var blackPass = 0; blackPass < 2; blackPass++) {
+            for (var i = midiCustomSettings.pitchBottomThreshold; i <= midiCustomSettings.pitchTopThreshold; i++) {
+                if (isBlackNote(i) != (blackPass == 1))
+                    continue;
+
+                var hits = null;
+                if (keyHits)
+                    hits = keyHits[i] ? keyHits[i] : new Array();
+                createPianoKey(comp, i, keyStart, hits);
+
+                keysCreated++;
+                midiWndw.pb.updateCurrent("Progress: " + Math.floor(keysCreated / keyCount * 100) + "%", keysCreated / keyCount * 100);
+                if (midiWndw.pb.isCanceled) {
+                    return comp;
+                }
             }
-            var key = comp.layers.addSolid([1, 1, 1], i, width,
-                isBlackNote(i) ? midiCustomSettings.blackNoteSize / 2 : midiCustomSettings.whiteNoteSize / 2, 1.0);
+        }
 
-            key.property("transform").property("position").setValue([xPos, yPos]);
-            var progress = (i - midiCustomSettings.pitchBottomThreshold) / (midiCustomSettings.pitchTopThreshold - midiCustomSettings.pitchBottomThreshold);
-            midiWndw.pb.updateCurrent("Progress: " + Math.floor(progress * 100) + "%", progress * 100);
+        for (var i = midiCustomSettings.pitchBottomThreshold; i <= midiCustomSettings.pitchTopThreshold; i++) {
+            if (i % 12 != 0) // Only C keys get a label
+                continue;
 
-            if (midiWndw.pb.isCanceled) {
-                break;
-            }
+            var cKeyTextLayer = comp.layers.addText();
+            var cKeyText = cKeyTextLayer.property("Source Text");
+
+            var cKeyTextDocument = new TextDocument("C" + Math.floor(i / 12));
+            cKeyText.setValue(cKeyTextDocument);
+            cKeyTextDocument = cKeyText.value;
+            cKeyTextDocument.font = midiCustomSettings.pianoKeysFont;
+            cKeyTextDocument.justification = isVertical() ? ParagraphJustification.CENTER_JUSTIFY : ParagraphJustification.RIGHT_JUSTIFY;
+            cKeyTextDocument.fillColor = [1, 1, 1];
+            cKeyTextDocument.fontSize = midiCustomSettings.pianoKeysFontSize;
+            cKeyText.setValue(cKeyTextDocument);
+
+            var timePos = keyStart + midiCustomSettings.pianoKeysWhiteKeyWidth / 2;
+            var labelHeight = cKeyTextLayer.sourceRectAtTime(0, true).height;
+            var labelPosition = getCompPosition(timePos - 24, getPitchPositionAndSize(i)[0]);
+            labelPosition[1] += isVertical() ? labelHeight : labelHeight / 2;
+            cKeyTextLayer.property("transform").property("position").setValue(labelPosition);
         }
     }
     return comp;
@@ -1967,141 +3935,719 @@ function createBpmText(masterComp, bpmMap) {
     }
 }
 
-function createVisualizer() {
-    app.beginUndoGroup("Generate MIDI Visualizer");
+// Groups the lyrics of a MIDI file into lines of syllables. Karaoke (.kar) files have their lyrics in text events instead,
+// where "@" starts header information, and "/" or "\" at the start of a syllable begins a new line or paragraph
+function getLyricLines(midiFile) {
+    var events = midiFile.lyricMap;
+    var isKaraoke = false;
+    if (events.length == 0) {
+        for (var i = 0; i < midiFile.textMap.length; i++) {
+            if (midiFile.textMap[i].text.substring(0, 2) == "@K") { // "@KMIDI KARAOKE FILE"
+                events = midiFile.textMap;
+                isKaraoke = true;
+                break;
+            }
+        }
+    }
 
-    midiWndw.update();
-    midiWndw.pb.start();
+    var lines = new Array();
+    var line = null;
+    for (var i = 0; i < events.length; i++) {
+        var text = events[i].text;
+        if (isKaraoke && text.charAt(0) == "@")
+            continue;
 
-    // Read MIDI files first because we need some information
-    var parsedMidiFiles = readMidiFiles();
-    var latestMidiNote = getLatestMidiNote(parsedMidiFiles);
+        if (text.charAt(0) == "/" || text.charAt(0) == "\\") {
+            line = null;
+            text = text.substring(1);
+        }
+        var endsLine = /[\r\n]$/.test(text); // Lyric events mark the end of a line with a line break
+        text = text.replace(/[\r\n]/g, "");
+
+        if (text != "") {
+            if (line == null) {
+                line = new Object();
+                line.text = "";
+                line.syllables = new Array();
+                lines.push(line);
+            }
+            // Characters from start to end are highlighted while the syllable is sung
+            var syllable = new Object();
+            syllable.second = events[i].second;
+            syllable.start = line.text.length;
+            syllable.end = line.text.length + text.length;
+            line.syllables.push(syllable);
+            line.text += text;
+        }
+        if (endsLine)
+            line = null;
+    }
+    return lines;
+}
 
-    var masterComp = app.project.items.addComp("MidiMaster", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, latestMidiNote, midiCustomSettings.scrollCompFramerate);
-    if (midiCustomSettings.bpmSourceIndex < 0)
-        midiCustomSettings.bpmSourceIndex = 0;
-    if (midiCustomSettings.bpmSourceIndex + 1 > parsedMidiFiles.length)
-        midiCustomSettings.bpmSourceIndex = parsedMidiFiles.length - 1;
-
-    if (midiCustomSettings.timeSigSourceIndex < 0)
-        midiCustomSettings.timeSigSourceIndex = 0;
-    if (midiCustomSettings.timeSigSourceIndex + 1 > parsedMidiFiles.length)
-        midiCustomSettings.timeSigSourceIndex = parsedMidiFiles.length - 1;
-
-    var bpmMap = createBpmMap(parsedMidiFiles[midiCustomSettings.bpmSourceIndex]);
-    var timeSigMap = createTimeSignatureMap(parsedMidiFiles[midiCustomSettings.timeSigSourceIndex]);
-
-    createBarLines(timeSigMap, bpmMap, parsedMidiFiles[midiCustomSettings.bpmSourceIndex].tempoMap, parsedMidiFiles[midiCustomSettings.bpmSourceIndex].timeDivision, latestMidiNote);
-    if (midiCustomSettings.pianoKeysCreateKeys || midiCustomSettings.pianoKeysCreateIndicator)
-        createPianoKeys();
-    if (midiCustomSettings.createBpmText)
-        createBpmText(masterComp, bpmMap);
-
-    if (!midiWndw.pb.isCanceled) {
-        for (var i = 0; i < parsedMidiFiles.length; i++) {
-            latestMidiNote = getLatestMidiNote(parsedMidiFiles[i]);
-
-            var scrollerComp = app.project.items.addComp("_" + midiConfigs[i].name + " Scroller", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, latestMidiNote, midiCustomSettings.scrollCompFramerate);
-            var scroller = scrollerComp.layers.addNull();
-            scroller.name = "Scroller";
-            scroller.property("transform").property("position").setValueAtTime(0, [0, scrollerComp.height / 2]);
-            scroller.property("transform").property("position").setSpatialAutoBezierAtKey(1, false);
-
-            if (midiCustomSettings.bpmBasedSpeed)
-                addScrollerKeyframes(scrollerComp, bpmMap, scroller, latestMidiNote);
-            else
-                scroller.property("transform").property("position").setValueAtTime(latestMidiNote, [(latestMidiNote * midiCustomSettings.velocityPerSecond) * -1, scrollerComp.height / 2]);
+function createLyricsText(masterComp, midiFile) {
+    var lines = getLyricLines(midiFile);
+    if (lines.length == 0)
+        return;
 
-            midiWndw.pb.updateTotal("Processing " + midiConfigs[i].name + " (" + (i + 1) + "/" + parsedMidiFiles.length + ")", ((i + 1) / parsedMidiFiles.length) * 100);
+    var lyricsTextLayer = masterComp.layers.addText();
+    lyricsTextLayer.name = "Lyrics";
+    var lyricsText = lyricsTextLayer.property("Source Text");
+
+    var lyricsTextDocument = lyricsText.value;
+    lyricsTextDocument.resetCharStyle();
+    lyricsTextDocument.fillColor = [1, 1, 1];
+    lyricsTextDocument.fontSize = midiCustomSettings.lyricsTextFontSize;
+    lyricsTextDocument.font = midiCustomSettings.lyricsTextFont;
+    lyricsTextDocument.justification = ParagraphJustification.CENTER_JUSTIFY;
+    lyricsTextDocument.text = " ";
+    lyricsText.setValue(lyricsTextDocument);
+    lyricsTextLayer.property("transform").property("position").setValue([masterComp.width / 2, midiCustomSettings.lyricsTextYPos]);
+
+    // The current syllable is highlighted by a text animator whose range selector is moved over the characters of the line
+    var animator = lyricsTextLayer.property("ADBE Text Properties").property("ADBE Text Animators").addProperty("ADBE Text Animator");
+    animator.name = "Highlight";
+    animator.property("ADBE Text Selectors").addProperty("ADBE Text Selector");
+    animator.property("ADBE Text Animator Properties").addProperty("ADBE Text Fill Color");
+    animator.property("ADBE Text Animator Properties").property("ADBE Text Fill Color").setValue([1, 0.8, 0]);
+    var selector = animator.property("ADBE Text Selectors").property(1);
+    selector.property("ADBE Text Range Advanced").property("ADBE Text Range Units").setValue(2); // Index instead of percentage
+    var selectorStart = selector.property("ADBE Text Index Start");
+    var selectorEnd = selector.property("ADBE Text Index End");
+    selectorStart.setValueAtTime(0, 0);
+    selectorEnd.setValueAtTime(0, 0);
+
+    midiWndw.pb.updateTotal("Adding Lyrics Text Keyframes", 75);
+
+    var holdDuration = 3; // Seconds that a line stays visible after its last syllable, if no other line replaces it before that
+    for (var i = 0; i < lines.length; i++) {
+        lyricsTextDocument.text = lines[i].text;
+        lyricsText.setValueAtTime(lines[i].syllables[0].second, lyricsTextDocument);
+
+        for (var j = 0; j < lines[i].syllables.length; j++) {
+            var syllable = lines[i].syllables[j];
+            selectorStart.setValueAtTime(syllable.second, syllable.start);
+            selectorEnd.setValueAtTime(syllable.second, syllable.end);
+        }
 
-            var comp = app.project.items.addComp(midiConfigs[i].name + " notes", midiCustomSettings.resolutionWidth, midiCustomSettings.resolutionHeight, 1.0, latestMidiNote, midiCustomSettings.noteCompFramerate);
-            var compLayer = scrollerComp.layers.add(comp);
-            compLayer.parent = scroller;
-            // This makes it so that the comps don't get cropped off
-            compLayer.collapseTransformation = true;
+        var clearTime = lines[i].syllables[lines[i].syllables.length - 1].second + holdDuration;
+        if (i + 1 == lines.length || lines[i + 1].syllables[0].second > clearTime) {
+            lyricsTextDocument.text = " ";
+            lyricsText.setValueAtTime(clearTime, lyricsTextDocument);
+        }
+        if (midiWndw.pb.isCanceled)
+            break;
 
-            if (midiCustomSettings.dropShadowBlurSize != 0) {
-                var dropShadow = compLayer.property("Effects").addProperty("ADBE Drop Shadow");
-                dropShadow.property("distance").setValue(0);
-                dropShadow.property("softness").setValue(midiCustomSettings.dropShadowBlurSize);
+        midiWndw.pb.updateCurrent("Progress: " + (i + 1) + "/" + lines.length + " lines of lyrics", ((i + 1) / lines.length) * 100);
+    }
+
+    for (var i = 1; i <= selectorStart.numKeys; i++)
+        selectorStart.setInterpolationTypeAtKey(i, KeyframeInterpolationType.HOLD);
+    for (var i = 1; i <= selectorEnd.numKeys; i++)
+        selectorEnd.setInterpolationTypeAtKey(i, KeyframeInterpolationType.HOLD);
+}
+
+// Adds the markers and cue points of the MIDI files as composition markers.
+// There can only be one marker at a time, so texts at the same time are combined and duplicates are skipped
+function addMidiMarkers(comp, midiFiles) {
+    var times = new Array();
+    var textsAtTime = new Object();
+    for (var i = 0; i < midiFiles.length; i++) {
+        var events = midiFiles[i].markerMap.concat(midiFiles[i].cuePointMap);
+        for (var j = 0; j < events.length; j++) {
+            var key = "t" + events[j].second;
+            if (!textsAtTime[key]) {
+                textsAtTime[key] = new Array();
+                textsAtTime[key].added = new Object();
+                times.push(events[j].second);
+            }
+            if (!textsAtTime[key].added["t" + events[j].text]) {
+                textsAtTime[key].added["t" + events[j].text] = true;
+                textsAtTime[key].push(events[j].text);
             }
+        }
+    }
 
-            var currentMidi = parsedMidiFiles[i];
+    // Tags the markers for removeGeneratedMarkers
+    var parameters = new Object();
+    parameters["MIDI Visualizer"] = "true";
+    for (var i = 0; i < times.length; i++) {
+        var marker = new MarkerValue(textsAtTime["t" + times[i]].join(" / "));
+        marker.setParameters(parameters);
+        comp.markerProperty.setValueAtTime(times[i], marker);
+    }
+}
 
-            var notesCount = currentMidi.notes.length;
+// Splits the included notes of a MIDI file into parts that get their own notes and scroller comps.
+// Split modes: 0 keeps all notes together, 1 splits them per track and 2 per MIDI channel
+function getNoteParts(midiFile, midiConfig) {
+    var splitMode = midiConfig.splitMode;
+    var excludedChannels = parseNumberList(midiConfig.excludedChannels, 16);
+    var excludedTracks = parseNumberList(midiConfig.excludedTracks, midiFile.tracks.length);
+    var partsByIndex = new Array();
+    for (var i = 0; i < midiFile.notes.length; i++) {
+        var note = midiFile.notes[i];
+        if (!note.vel || !note.durTime || !isNoteIncluded(midiConfig, note, excludedChannels, excludedTracks))
+            continue;
 
-            var latestMidiNote = 0;
-            for (var j = 0; j < notesCount; j++) {
-                if (currentMidi.notes[j].vel && currentMidi.notes[j].durTime) {
-                    var noteTime = currentMidi.notes[j].time;
-                    var noteDur = currentMidi.notes[j].durTime;
-                    var notePitch = currentMidi.notes[j].pitch;
+        var index = 0;
+        if (splitMode == 1)
+            index = Math.floor(note.channel / 16);
+        else if (splitMode == 2)
+            index = note.channel;
+
+        if (!partsByIndex[index]) {
+            partsByIndex[index] = new Object();
+            partsByIndex[index].name = getNotePartName(midiFile, midiConfig, splitMode, index);
+            partsByIndex[index].notes = new Array();
+        }
+        partsByIndex[index].notes.push(note);
+    }
 
-                    var shape = comp.layers.addShape();
+    var parts = new Array();
+    for (var i = 0; i < partsByIndex.length; i++) {
+        if (partsByIndex[i])
+            parts.push(partsByIndex[i]);
+    }
+    return parts;
+}
 
-                    var contents = shape.property("Contents");
-                    contents.addProperty("ADBE Vector Shape - Rect");
+// Each part gets the next color after the one of the previous part
+function getPartColorIndex(midiConfig, partIndex) {
+    return (midiConfig.selectedColorIndex + partIndex) % midiCustomSettings.presetColors.length;
+}
 
-                    // Darken black notes
-                    if (midiCustomSettings.darkenBlackNotes && isBlackNote(notePitch)) {
-                        var darkFill = contents.addProperty("ADBE Vector Graphic - Fill");
-                        darkFill.property("ADBE Vector Fill Color").setValue([0, 0, 0, 1]);
-                        darkFill.property("Opacity").setValue(midiCustomSettings.darkenAmount);
-                    }
+// Names a part after the name given to its track or channel in the config. Returns null if the notes aren't split
+function getNotePartName(midiFile, midiConfig, splitMode, index) {
+    if (splitMode == 1 && midiConfig.trackConfigs[index])
+        return midiConfig.trackConfigs[index].name;
+    if (splitMode == 2 && midiConfig.channelConfigs[index])
+        return midiConfig.channelConfigs[index].name;
+    return getDefaultPartName(midiFile, splitMode, index);
+}
 
-                    var fillProp = contents.addProperty("ADBE Vector Graphic - Fill");
-                    if (noteTime != 0) {
-                        fillProp.property("ADBE Vector Fill Color").setValueAtTime(0, [1, 1, 1, 1]);
-                    }
-                    var xPosAndWidth = getXPositionAndWidthOfNote(noteTime, noteDur, bpmMap);
-                    var yPosAndHeight = getYPositionAndHeightOfKey(notePitch);
+// Names a part after its track or instrument. Returns null if the notes aren't split
+function getDefaultPartName(midiFile, splitMode, index) {
+    if (splitMode == 1) {
+        var track = midiFile.tracks[index];
+        return track.name ? track.name : "Track " + (index + 1);
+    } else if (splitMode == 2) {
+        var channelO = midiFile.channels[index];
+        if (channelO.instrument)
+            return channelO.instrument;
+        var track = midiFile.tracks[channelO.trackIndex];
+        return (track.name ? track.name : "Track " + (channelO.trackIndex + 1)) + " Ch " + (channelO.midiChannel + 1);
+    }
+    return null;
+}
 
-                    shape.property("transform").property("position").setValue([xPosAndWidth[0], midiCustomSettings.resolutionHeight - yPosAndHeight[0]]);
-                    shape.property("transform").property("anchorPoint").setValue([xPosAndWidth[1] * -0.5, 0]);
+// The color of the file, track or channel, changed by the velocity mapping
+function getNoteColor(midiConfig, note, defaultColorIndex) {
+    var color = midiCustomSettings.presetColors[getNoteColorIndex(midiConfig, note.channel, defaultColorIndex)].color;
+    if (midiCustomSettings.velocityMapping == 1) {
+        var factor = getVelocityFactor(note.vel);
+        color = [color[0] * factor, color[1] * factor, color[2] * factor, color[3]];
+    } else if (midiCustomSettings.velocityMapping == 4)
+        color = getVelocityGradientColor(note.vel);
+    return color;
+}
 
-                    contents.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue([xPosAndWidth[1], yPosAndHeight[1]]);
-                    contents.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Roundness").setValue(yPosAndHeight[1] / 4);
+// Adds one layer per pitch (or drum lane) at the indicator, which bursts or glows whenever a note of that pitch reaches it.
+// The layers don't scroll, so they are added to the scroller comp without being parented to the scroller.
+// With animated pitch bends, each hit is placed at the pitch that its note is bent to when it starts
+function createHitFx(scrollerComp, notes, midiConfig, defaultColorIndex, midiFile) {
+    var notesByPosition = new Object();
+    var positions = new Array();
+    for (var i = 0; i < notes.length; i++) {
+        var pitchPos = drumLanes.length > 0 && isDrumChannel(notes[i].channel) ?
+            getPitchPositionAndSizeOfDrumLane(notes[i].pitch)[0] : getPitchPositionAndSize(notes[i].pitch)[0];
+        if (!notesByPosition[pitchPos]) {
+            notesByPosition[pitchPos] = new Array();
+            positions.push(pitchPos);
+        }
+        notesByPosition[pitchPos].push(notes[i]);
+    }
 
-                    if (noteTime != 0) {
-                        // Initial opacity and scale
-                        shape.property("transform").property("opacity").setValueAtTime(0, 25);
-                        shape.property("transform").property("opacity").setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
-                        shape.property("transform").property("scale").setValueAtTime(0, [100, 100]);
-                        shape.property("transform").property("scale").setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
-                    }
+    var size = midiCustomSettings.hitFxSize;
+    var duration = midiCustomSettings.hitFxDuration;
+    for (var i = 0; i < positions.length; i++) {
+        var hitNotes = notesByPosition[positions[i]];
+        var hitPitch = hitNotes[0].pitch;
+        var isDrumHit = drumLanes.length > 0 && isDrumChannel(hitNotes[0].channel);
+        var layer = scrollerComp.layers.addShape();
+        layer.name = "Hit FX " + (isDrumHit ? getDrumName(hitPitch) : getKeyName(hitPitch));
+        layer.property("transform").property("position").setValue(getCompPosition(midiCustomSettings.noteHitXOffset, positions[i]));
+        if (midiCustomSettings.scrollControls)
+            setXOffsetExpression(layer.property("transform").property("position"));
+
+        var contents = layer.property("Contents");
+        contents.addProperty("ADBE Vector Shape - Ellipse").property("ADBE Vector Ellipse Size").setValue([size, size]);
+        var colorProp;
+        var startScale;
+        var endScale;
+        if (midiCustomSettings.hitFxStyle == 1) {
+            // Burst: A ring that expands from the note
+            var stroke = contents.addProperty("ADBE Vector Graphic - Stroke");
+            stroke.property("ADBE Vector Stroke Width").setValue(Math.max(size / 16, 1));
+            colorProp = stroke.property("ADBE Vector Stroke Color");
+            startScale = 20;
+            endScale = 100;
+        } else {
+            // Glow: A filled circle that flashes and grows a little
+            colorProp = contents.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color");
+            layer.property("Effects").addProperty("ADBE Glo2");
+            startScale = 60;
+            endScale = 100;
+        }
+
+        hitNotes.sort(function(a, b) {
+            return a.time - b.time;
+        });
+        var position = layer.property("transform").property("position");
+        var opacity = layer.property("transform").property("opacity");
+        var scale = layer.property("transform").property("scale");
+        var followBends = midiCustomSettings.pitchBendAnimation && !isDrumHit;
+        opacity.setValueAtTime(0, 0);
+        for (var j = 0; j < hitNotes.length; j++) {
+            var noteTime = hitNotes[j].time;
+            if (followBends) {
+                var pitchBends = midiFile.channels[hitNotes[j].channel].pitchBends;
+                var bendIndex = getPitchBendIndex(pitchBends, noteTime);
+                var semitones = bendIndex >= 0 ? pitchBends[bendIndex].semitones : 0;
+                position.setValueAtTime(noteTime, getCompPosition(midiCustomSettings.noteHitXOffset, getPitchPositionOfBentKey(hitPitch, semitones)));
+            }
+            colorProp.setValueAtTime(noteTime, getNoteColor(midiConfig, hitNotes[j], defaultColorIndex));
+            opacity.setValueAtTime(noteTime, 100);
+            scale.setValueAtTime(noteTime, [startScale, startScale]);
+
+            // A hit is cut off one frame before the next one starts
+            var endTime = noteTime + duration;
+            if (j + 1 < hitNotes.length && hitNotes[j + 1].time < endTime)
+                endTime = hitNotes[j + 1].time - 1 / scrollerComp.frameRate;
+            if (endTime > noteTime) {
+                opacity.setValueAtTime(endTime, 0);
+                scale.setValueAtTime(endTime, [endScale, endScale]);
+            }
+        }
+
+        // Hold the end of each hit until the next one starts
+        for (var j = 1; j <= colorProp.numKeys; j++)
+            colorProp.setInterpolationTypeAtKey(j, KeyframeInterpolationType.HOLD);
+        for (var j = 1; j <= position.numKeys; j++)
+            position.setInterpolationTypeAtKey(j, KeyframeInterpolationType.HOLD);
+        // The velocity gradient has no color controls
+        if (midiCustomSettings.noteControls && midiCustomSettings.velocityMapping != 4)
+            colorProp.expression = getHitFxColorExpression(hitNotes, midiConfig, defaultColorIndex);
+        for (var j = 1; j <= opacity.numKeys; j++) {
+            if (opacity.keyValue(j) == 0)
+                opacity.setInterpolationTypeAtKey(j, KeyframeInterpolationType.LINEAR, KeyframeInterpolationType.HOLD);
+        }
+        for (var j = 1; j <= scale.numKeys; j++) {
+            if (scale.keyValue(j)[0] == endScale)
+                scale.setInterpolationTypeAtKey(j, KeyframeInterpolationType.LINEAR, KeyframeInterpolationType.HOLD);
+        }
+
+        if (midiWndw.pb.isCanceled) {
+            break;
+        }
+    }
+}
+
+// Gets the shape layer with the given name for the note groups, or creates it.
+// The layer sits at the origin of the comp, so that the positions of the groups are comp positions
+function getNoteLayer(comp, noteLayers, name) {
+    if (!noteLayers[name]) {
+        var layer = comp.layers.addShape();
+        layer.name = name;
+        layer.property("transform").property("position").setValue([0, 0]);
+        noteLayers[name] = layer;
+    }
+    return noteLayers[name];
+}
+
+// Quotes a text so that it can be used as a string in an expression
+function getExpressionString(text) {
+    return "\"" + text.replace(/\\/g, "\\\\").replace(/"/g, "\\\"") + "\"";
+}
 
-                    // Note start opacity
-                    shape.property("transform").property("opacity").setValueAtTime(noteTime, 80);
-                    shape.property("transform").property("opacity").setInterpolationTypeAtKey(noteTime == 0 ? 1 : 2, KeyframeInterpolationType.LINEAR);
-                    // Note opacity over duration
-                    var fadeAmount = Math.max(100 - ((noteDur / midiCustomSettings.fadeOutDuration) * 100), 20);
-                    shape.property("transform").property("opacity").setValueAtTime(noteTime + noteDur, fadeAmount);
-                    shape.property("transform").property("opacity").setValueAtTime(noteTime + noteDur + midiCustomSettings.fadeOutTime, 0);
-                    // Note end opacity
-                    var keyIndex = shape.property("transform").property("opacity").nearestKeyIndex(noteTime + noteDur + midiCustomSettings.fadeOutTime);
-                    shape.property("transform").property("opacity").setTemporalEaseAtKey(keyIndex, [new KeyframeEase(0, 0.33)]);
-                    // Note start fill color
-                    fillProp.property("ADBE Vector Fill Color").setValueAtTime(noteTime, midiCustomSettings.presetColors[midiConfigs[i].selectedColorIndex].color);
-                    fillProp.property("ADBE Vector Fill Color").setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
-                    // Note start scale
-                    shape.property("transform").property("scale").setValueAtTime(noteTime, [100, 125]);
-                    shape.property("transform").property("scale").setInterpolationTypeAtKey(noteTime == 0 ? 1 : 2, KeyframeInterpolationType.LINEAR);
-                    shape.property("transform").property("scale").setValueAtTime(noteTime + 0.2, [100, 100]);
-
-                    shape.name = "(" + j + ") " + "Time: " + noteTime + ", Vel: " + currentMidi.notes[j].vel + ", pitch: " + notePitch + ", channel: " + currentMidi.notes[j].channel + ", Dur: " + noteDur;
+// Adds the "MIDI Controls" null to a notes comp, with a color control for each preset color that its notes use.
+// In regenerate mode, the null of the last run is reused and only gets the controls it doesn't have yet
+function createNoteControls(comp, notes, midiConfig, defaultColorIndex) {
+    var controls = reuseGeneratedLayer(comp, function(layer) {
+        return layer.nullLayer && layer.name == "MIDI Controls";
+    });
+    if (controls == null) {
+        controls = comp.layers.addNull();
+        controls.name = "MIDI Controls";
+    }
+    var effects = controls.property("Effects");
+
+    // The velocity gradient replaces the colors of the notes
+    if (midiCustomSettings.velocityMapping != 4) {
+        var hasColorControl = new Array();
+        for (var i = 0; i < notes.length; i++) {
+            var colorIndex = getNoteColorIndex(midiConfig, notes[i].channel, defaultColorIndex);
+            if (hasColorControl[colorIndex])
+                continue;
+
+            addControlEffect(effects, "ADBE Color Control", midiCustomSettings.presetColors[colorIndex].name, midiCustomSettings.presetColors[colorIndex].color);
+            hasColorControl[colorIndex] = true;
+        }
+    }
+
+    var sliders = [
+        ["Opacity", 100],
+        ["Darken Amount", midiCustomSettings.darkenAmount],
+        ["Drop Shadow Softness", midiCustomSettings.dropShadowBlurSize],
+        ["Fade Out Time", midiCustomSettings.fadeOutTime],
+        ["Hit Scale", 125]
+    ];
+    for (var i = 0; i < sliders.length; i++)
+        addControlEffect(effects, "ADBE Slider Control", sliders[i][0], sliders[i][1]);
+    return controls;
+}
+
+// Reads a control of the "MIDI Controls" null in the comp of the expression
+function getNoteControlExpression(controlName, matchName) {
+    return "thisComp.layer(\"MIDI Controls\").effect(" + getExpressionString(controlName) + ")(\"" + matchName + "\")";
+}
+
+// Like getNoteColor, but taken from the color controls. Sets the variable "color" in the expression
+function getNoteColorControlExpression(midiConfig, note, defaultColorIndex) {
+    if (midiCustomSettings.velocityMapping == 4) {
+        var gradientColor = getVelocityGradientColor(note.vel);
+        return "var color = [" + gradientColor.join(", ") + "];\n";
+    }
+
+    var control = getNoteColorControl(midiConfig, note, defaultColorIndex);
+    return "var color = " + getNoteControlExpression(control.name, "ADBE Color Control-0001") + ";\n" +
+        "color = [color[0] * " + control.factor + ", color[1] * " + control.factor + ", color[2] * " + control.factor + ", 1];\n";
+}
+
+// The name of the color control of a note, and the factor that the velocity mapping darkens the color by
+function getNoteColorControl(midiConfig, note, defaultColorIndex) {
+    var control = new Object();
+    control.name = midiCustomSettings.presetColors[getNoteColorIndex(midiConfig, note.channel, defaultColorIndex)].name;
+    control.factor = midiCustomSettings.velocityMapping == 1 ? getVelocityFactor(note.vel) : 1;
+    return control;
+}
+
+// The hit FX are in the scroller comp, so they read the color controls through the notes comp layer (see createNotesAndScroller).
+// The hits of the layer are embedded as a table of their times, color controls and velocity factors
+function getHitFxColorExpression(hitNotes, midiConfig, defaultColorIndex) {
+    var hits = new Array();
+    for (var i = 0; i < hitNotes.length; i++) {
+        var control = getNoteColorControl(midiConfig, hitNotes[i], defaultColorIndex);
+        hits.push("[" + hitNotes[i].time + ", " + getExpressionString(control.name) + ", " + control.factor + "]");
+    }
+    return "var controls = thisComp.layer(\"Notes\").source.layer(\"MIDI Controls\");\n" +
+        "var hits = [" + hits.join(", ") + "];\n" +
+        "var i = hits.length - 1;\n" +
+        "while (i > 0 && hits[i][0] > time)\n" +
+        "    i--;\n" +
+        "var color = controls.effect(hits[i][1])(\"ADBE Color Control-0001\");\n" +
+        "[color[0] * hits[i][2], color[1] * hits[i][2], color[2] * hits[i][2], 1];";
+}
+
+// Lets the animated keys take the colors of their hits from the color controls of the notes comps that play them.
+// The notes comps are added to the keys comp as disabled guide layers, which the expressions read the controls through
+function linkPianoKeyColors(comp, keyHits, notesComps) {
+    for (var i = 0; i < notesComps.length; i++) {
+        var notesLayer = addGeneratedCompLayer(comp, notesComps[i]);
+        notesLayer.name = "MIDI Controls " + (i + 1);
+        notesLayer.enabled = false;
+        notesLayer.guideLayer = true;
+    }
+
+    // The C labels are text layers with the names of their keys, so only the shape layers are keys
+    var keys = new Object();
+    for (var i = 1; i <= comp.numLayers; i++) {
+        if (comp.layer(i) instanceof ShapeLayer)
+            keys[comp.layer(i).name] = comp.layer(i);
+    }
+
+    for (var pitch = midiCustomSettings.pitchBottomThreshold; pitch <= midiCustomSettings.pitchTopThreshold; pitch++) {
+        var key = keys[getKeyName(pitch)];
+        var hits = keyHits[pitch];
+        if (!key || !hits)
+            continue;
+
+        // A hit lasts until the next one starts or the key is released, like the keyframes of animatePianoKey
+        var table = new Array();
+        var releaseTime = 0;
+        for (var j = 0; j < hits.length; j++) {
+            releaseTime = Math.max(releaseTime, hits[j].end);
+            var endTime = j + 1 < hits.length ? Math.min(hits[j + 1].time, releaseTime) : releaseTime;
+            if (hits[j].partIndex < notesComps.length)
+                table.push("[" + hits[j].time + ", " + endTime + ", \"MIDI Controls " + (hits[j].partIndex + 1) + "\", " + getExpressionString(hits[j].colorName) + "]");
+        }
+        var fillColor = key.property("Contents").property("Key").property("Contents").property("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color");
+        fillColor.expression = "var hits = [" + table.join(", ") + "];\n" +
+            "var color = value;\n" +
+            "for (var i = 0; i < hits.length && hits[i][0] <= time; i++) {\n" +
+            "    if (time < hits[i][1])\n" +
+            "        color = thisComp.layer(hits[i][2]).source.layer(\"MIDI Controls\").effect(hits[i][3])(\"ADBE Color Control-0001\");\n" +
+            "}\n" +
+            "color;";
+    }
+}
+
+// Creates the "<name> notes" comp with a shape layer for every note, and the "_<name> Scroller" comp that scrolls it.
+// Notes use the color of their track or channel, or the default color if it isn't set. Returns the notes comp
+function createNotesAndScroller(name, notes, midiConfig, defaultColorIndex, midiFile, bpmMap) {
+    var latestMidiNote = getLatestMidiNote(midiFile);
+
+    var scrollerComp = addGeneratedComp("_" + name + " Scroller", latestMidiNote, midiCustomSettings.scrollCompFramerate, "Scrollers");
+    var scroller = addScroller(scrollerComp, bpmMap, latestMidiNote);
+    if (midiCustomSettings.createCompMarkers)
+        addMidiMarkers(scrollerComp, [midiFile]);
+
+    var comp = addGeneratedComp(name + " notes", latestMidiNote, midiCustomSettings.noteCompFramerate, "Notes");
+    var compLayer = scrollerComp.layers.add(comp);
+    compLayer.parent = scroller;
+    // This makes it so that the comps don't get cropped off
+    compLayer.collapseTransformation = true;
+    if (midiCustomSettings.scrollControls)
+        addScrollControls(scroller, compLayer);
+
+    if (midiCustomSettings.noteControls) {
+        createNoteControls(comp, notes, midiConfig, defaultColorIndex);
+        compLayer.name = "Notes";
+    }
+
+    if (midiCustomSettings.dropShadowBlurSize != 0) {
+        var dropShadow = compLayer.property("Effects").addProperty("ADBE Drop Shadow");
+        dropShadow.property("distance").setValue(0);
+        dropShadow.property("softness").setValue(midiCustomSettings.dropShadowBlurSize);
+        if (midiCustomSettings.noteControls)
+            dropShadow.property("softness").expression = "thisLayer.source.layer(\"MIDI Controls\").effect(\"Drop Shadow Softness\")(\"ADBE Slider Control-0001\");";
+    }
+
+    // Drums get a lane for each drum that is used, instead of their position on the keyboard
+    if (drumLanes.length > 0 && hasDrumNotes(notes))
+        createDrumLaneLabels(scrollerComp);
+
+    // Without a layer per note, the notes are groups in shared layers, which get the same keyframes as the layers would
+    var noteLayers = new Object();
+
+    var notesCount = notes.length;
+    for (var j = 0; j < notesCount; j++) {
+        var noteTime = notes[j].time;
+        var noteDur = notes[j].durTime;
+        var notePitch = notes[j].pitch;
+        var isDrumNote = drumLanes.length > 0 && isDrumChannel(notes[j].channel);
+        var noteName = "(" + j + ") " + "Time: " + noteTime + ", Vel: " + notes[j].vel + ", pitch: " + notePitch + ", channel: " + notes[j].channel + ", Dur: " + noteDur;
+
+        var contents;
+        var position;
+        var anchorPoint;
+        var scale;
+        var opacity;
+        if (midiCustomSettings.noteRenderMode == 0) {
+            var shape = comp.layers.addShape();
+            shape.name = noteName;
+            contents = shape.property("Contents");
+            position = shape.property("transform").property("position");
+            anchorPoint = shape.property("transform").property("anchorPoint");
+            scale = shape.property("transform").property("scale");
+            opacity = shape.property("transform").property("opacity");
+        } else {
+            var layerName = "Notes";
+            if (midiCustomSettings.noteRenderMode == 2)
+                layerName = isDrumNote ? getDrumName(notePitch) : getKeyName(notePitch);
+            var group = getNoteLayer(comp, noteLayers, layerName).property("Contents").addProperty("ADBE Vector Group");
+            group.name = noteName;
+            contents = group.property("Contents");
+            var groupTransform = group.property("ADBE Vector Transform Group");
+            position = groupTransform.property("ADBE Vector Position");
+            anchorPoint = groupTransform.property("ADBE Vector Anchor");
+            scale = groupTransform.property("ADBE Vector Scale");
+            opacity = groupTransform.property("ADBE Vector Group Opacity");
+        }
+        contents.addProperty("ADBE Vector Shape - Rect");
+
+        // Darken black notes
+        if (midiCustomSettings.darkenBlackNotes && isBlackNote(notePitch) && !isDrumNote) {
+            var darkFill = contents.addProperty("ADBE Vector Graphic - Fill");
+            darkFill.property("ADBE Vector Fill Color").setValue([0, 0, 0, 1]);
+            darkFill.property("Opacity").setValue(midiCustomSettings.darkenAmount);
+            if (midiCustomSettings.noteControls)
+                darkFill.property("Opacity").expression = getNoteControlExpression("Darken Amount", "ADBE Slider Control-0001") + ";";
+        }
+
+        var fillProp = contents.addProperty("ADBE Vector Graphic - Fill");
+        if (noteTime != 0) {
+            fillProp.property("ADBE Vector Fill Color").setValueAtTime(0, [1, 1, 1, 1]);
+        }
+        var timePosAndLength = getXPositionAndWidthOfNote(noteTime, noteDur, bpmMap);
+        var pitchPosAndSize = getPitchPositionAndSize(notePitch);
+        if (isDrumNote) {
+            timePosAndLength[1] = midiCustomSettings.drumHitWidth;
+            pitchPosAndSize = getPitchPositionAndSizeOfDrumLane(notePitch);
+        }
+        if (midiCustomSettings.velocityMapping == 3)
+            pitchPosAndSize[1] *= getVelocityFactor(notes[j].vel);
+
+        if (midiCustomSettings.pitchBendAnimation && !isDrumNote)
+            setNotePositionWithPitchBends(position, midiFile.channels[notes[j].channel].pitchBends, notePitch, noteTime, noteDur, timePosAndLength[0]);
+        else
+            position.setValue(getCompPosition(timePosAndLength[0], pitchPosAndSize[0]));
+        // The note starts at its position, which is its left edge or its bottom edge in vertical orientation
+        if (isVertical())
+            anchorPoint.setValue([0, timePosAndLength[1] * 0.5]);
+        else
+            anchorPoint.setValue([timePosAndLength[1] * -0.5, 0]);
+
+        contents.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue(getCompSize(timePosAndLength[1], pitchPosAndSize[1]));
+        contents.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Roundness").setValue(pitchPosAndSize[1] / 4);
+
+        if (midiCustomSettings.velocityMapping == 2)
+            fillProp.property("ADBE Vector Fill Opacity").setValue(getVelocityFactor(notes[j].vel) * 100);
+        if (noteTime != 0) {
+            // Initial opacity and scale
+            opacity.setValueAtTime(0, 25);
+            opacity.setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
+            scale.setValueAtTime(0, [100, 100]);
+            scale.setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
+        }
+
+        // Note start opacity
+        opacity.setValueAtTime(noteTime, 80);
+        opacity.setInterpolationTypeAtKey(noteTime == 0 ? 1 : 2, KeyframeInterpolationType.LINEAR);
+        // Note opacity over duration
+        var fadeAmount = Math.max(100 - ((noteDur / midiCustomSettings.fadeOutDuration) * 100), 20);
+        opacity.setValueAtTime(noteTime + noteDur, fadeAmount);
+        opacity.setValueAtTime(noteTime + noteDur + midiCustomSettings.fadeOutTime, 0);
+        // Note end opacity
+        var keyIndex = opacity.nearestKeyIndex(noteTime + noteDur + midiCustomSettings.fadeOutTime);
+        opacity.setTemporalEaseAtKey(keyIndex, [new KeyframeEase(0, 0.33)]);
+        // Note start fill color
+        fillProp.property("ADBE Vector Fill Color").setValueAtTime(noteTime, getNoteColor(midiConfig, notes[j], defaultColorIndex));
+        fillProp.property("ADBE Vector Fill Color").setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);
+        // Note start scale
+        scale.setValueAtTime(noteTime, getCompSize(100, 125));
+        scale.setInterpolationTypeAtKey(noteTime == 0 ? 1 : 2, KeyframeInterpolationType.LINEAR);
+        scale.setValueAtTime(noteTime + 0.2, [100, 100]);
+
+        // The keyframes stay, the controls change their values after the note starts
+        if (midiCustomSettings.noteControls) {
+            fillProp.property("ADBE Vector Fill Color").expression = getNoteColorControlExpression(midiConfig, notes[j], defaultColorIndex) +
+                "time < " + noteTime + " ? value : color;";
+            var noteEnd = noteTime + noteDur;
+            opacity.expression = "var fadeOutTime = " + getNoteControlExpression("Fade Out Time", "ADBE Slider Control-0001") + ";\n" +
+                "var opacity = time < " + noteEnd + " ? value : easeIn(time, " + noteEnd + ", " + noteEnd + " + fadeOutTime, valueAtTime(" + noteEnd + "), 0);\n" +
+                "opacity * " + getNoteControlExpression("Opacity", "ADBE Slider Control-0001") + " / 100;";
+            var hitScale = getCompSize(100, "hitScale");
+            scale.expression = "var hitScale = " + getNoteControlExpression("Hit Scale", "ADBE Slider Control-0001") + ";\n" +
+                "time < " + noteTime + " ? value : linear(time, " + noteTime + ", " + (noteTime + 0.2) + ", [" + hitScale[0] + ", " + hitScale[1] + "], [100, 100]);";
+        }
+
+        midiWndw.pb.updateCurrent(name + ": " + (j + 1) + "/" + notesCount + " notes processed", ((j + 1) / notesCount) * 100);
+        if (midiWndw.pb.isCanceled) {
+            break;
+        }
+    }
+
+    if ((midiCustomSettings.hitFxStyle == 1 || midiCustomSettings.hitFxStyle == 2) && !midiWndw.pb.isCanceled)
+        createHitFx(scrollerComp, notes, midiConfig, defaultColorIndex, midiFile);
+    return comp;
+}
+
+function createVisualizer() {
+    app.beginUndoGroup("Generate MIDI Visualizer");
+    generatedComps = new Array();
+
+    midiWndw.update();
+    midiWndw.pb.start();
+
+    // Read MIDI files first because we need some information
+    var parsedMidiFiles = readMidiFiles();
+    if (parsedMidiFiles == null || !confirmMidiFileWarnings(parsedMidiFiles) || !confirmDrumLanes(parsedMidiFiles)) {
+        app.endUndoGroup();
+        midiWndw.pb.stop();
+        midiWndw.pb.updateTotal("Nothing was created.", 0);
+        midiWndw.pb.updateCurrent("", 0);
+        return;
+    }
+    var latestMidiNote = getLatestMidiNote(parsedMidiFiles);
+
+    // Tag the generated layers even if something fails, so that the next regenerate can find and remove them
+    try {
+        var masterComp = addGeneratedComp("MidiMaster", latestMidiNote, midiCustomSettings.scrollCompFramerate, null);
+        if (midiCustomSettings.bpmSourceIndex < 0)
+            midiCustomSettings.bpmSourceIndex = 0;
+        if (midiCustomSettings.bpmSourceIndex + 1 > parsedMidiFiles.length)
+            midiCustomSettings.bpmSourceIndex = parsedMidiFiles.length - 1;
+
+        if (midiCustomSettings.timeSigSourceIndex < 0)
+            midiCustomSettings.timeSigSourceIndex = 0;
+        if (midiCustomSettings.timeSigSourceIndex + 1 > parsedMidiFiles.length)
+            midiCustomSettings.timeSigSourceIndex = parsedMidiFiles.length - 1;
+
+        if (midiCustomSettings.pedalSourceIndex < 0)
+            midiCustomSettings.pedalSourceIndex = 0;
+        if (midiCustomSettings.pedalSourceIndex + 1 > parsedMidiFiles.length)
+            midiCustomSettings.pedalSourceIndex = parsedMidiFiles.length - 1;
+
+        if (midiCustomSettings.lyricsSourceIndex < 0)
+            midiCustomSettings.lyricsSourceIndex = 0;
+        if (midiCustomSettings.lyricsSourceIndex + 1 > parsedMidiFiles.length)
+            midiCustomSettings.lyricsSourceIndex = parsedMidiFiles.length - 1;
+
+        // Use the SMPTE offset as the start timecode, so that it matches the video the MIDI file was made for
+        masterComp.displayStartTime = parsedMidiFiles[midiCustomSettings.bpmSourceIndex].smpteOffset;
+
+        var bpmMap = createBpmMap(parsedMidiFiles[midiCustomSettings.bpmSourceIndex]);
+        var timeSigMap = createTimeSignatureMap(parsedMidiFiles[midiCustomSettings.timeSigSourceIndex]);
+        var keyHits = null;
+        var pianoKeysComp = null;
+
+        createBarLines(timeSigMap, bpmMap, parsedMidiFiles[midiCustomSettings.timeSigSourceIndex], latestMidiNote);
+        if (midiCustomSettings.createPedalLane)
+            createPedalLane(parsedMidiFiles[midiCustomSettings.pedalSourceIndex], bpmMap, latestMidiNote);
+        if (midiCustomSettings.pianoKeysCreateKeys || midiCustomSettings.pianoKeysCreateIndicator) {
+            if (midiCustomSettings.pianoKeysAnimate && midiCustomSettings.pianoKeysCreateKeys) {
+                keyHits = getPianoKeyHits(parsedMidiFiles);
+                pianoKeysComp = createPianoKeys(latestMidiNote, keyHits);
+                addGeneratedCompLayer(masterComp, pianoKeysComp);
+            } else
+                createPianoKeys(latestMidiNote, null);
+        }
+        if (midiCustomSettings.createBpmText)
+            createBpmText(masterComp, bpmMap);
+        if (midiCustomSettings.createLyricsText)
+            createLyricsText(masterComp, parsedMidiFiles[midiCustomSettings.lyricsSourceIndex]);
+        if (midiCustomSettings.createCompMarkers)
+            addMidiMarkers(masterComp, parsedMidiFiles);
+
+        var notesComps = new Array();
+        if (!midiWndw.pb.isCanceled) {
+            for (var i = 0; i < parsedMidiFiles.length; i++) {
+                midiWndw.pb.updateTotal("Processing " + midiConfigs[i].name + " (" + (i + 1) + "/" + parsedMidiFiles.length + ")", ((i + 1) / parsedMidiFiles.length) * 100);
+
+                // Each part gets its own pair of comps, and the next color after the one of the previous part
+                var parts = getNoteParts(parsedMidiFiles[i], midiConfigs[i]);
+                for (var j = 0; j < parts.length; j++) {
+                    var name = parts[j].name == null ? midiConfigs[i].name : midiConfigs[i].name + " - " + parts[j].name;
+                    var colorIndex = getPartColorIndex(midiConfigs[i], j);
+                    notesComps.push(createNotesAndScroller(name, parts[j].notes, midiConfigs[i], colorIndex, parsedMidiFiles[i], bpmMap));
+                    if (midiWndw.pb.isCanceled) {
+                        break;
+                    }
                 }
-                midiWndw.pb.updateCurrent((j + 1) + "/" + notesCount + " note events processed", ((j + 1) / notesCount) * 100);
                 if (midiWndw.pb.isCanceled) {
                     break;
                 }
             }
-            if (midiWndw.pb.isCanceled) {
-                break;
-            }
         }
-    }
 
-    app.endUndoGroup();
+        // The notes comps exist now, so the animated keys can take their colors from the note controls
+        if (pianoKeysComp != null && midiCustomSettings.noteControls && midiCustomSettings.velocityMapping != 4)
+            linkPianoKeyColors(pianoKeysComp, keyHits, notesComps);
+    } finally {
+        tagGeneratedLayers();
+        app.endUndoGroup();
+    }
 
     if (midiWndw.pb.isCanceled) {
         // Window.alert("Process was canceled and will undo the operations.");
@@ -2126,6 +4672,8 @@ function createVisualizer() {
 var midiWndw = new Window("dialog", "MIDI Visualizer");
 midiWndw.orientation = "column";
 var midiConfigs = Array();
+var drumLanes = new Array(); // The pitches of the drums that get a lane in the current run, see confirmDrumLanes
+var generatedComps = new Array(); // The comps of the current run, see addGeneratedComp
 var midiCustomSettings = new MidiCustomSettings();
 
 if (USE_MIDI_SETTINGS_FILE) {
@@ -2145,17 +4693,25 @@ midiWndw.topContainer.add("button", undefined, "Select Folder").onClick = functi
     var selectedObject = Folder.selectDialog();
     if (selectedObject != null) {
         if (selectedObject instanceof Folder) {
-            var midiFiles = selectedObject.getFiles("*.mid");
+            var midiFiles = selectedObject.getFiles(isMidiFileName);
             if (midiFiles.length == 0) {
-                Window.alert("No MIDI (.mid) files found in the specified directory.");
+                Window.alert("No MIDI (.mid, .midi, .kar or .rmi) files found in the specified directory.");
             } else {
                 midiConfigs = [];
-                midiWndw.midiContainer.midiListBox.removeAll();
+                var errors = "";
                 for (var i = 0; i < midiFiles.length; i++) {
                     var fileName = File.decode(midiFiles[i].name);
                     midiConfigs.push(new MidiConfig(midiFiles[i]));
-                    midiWndw.midiContainer.midiListBox.add("item", midiConfigs[i].name + " (" + midiConfigs[i].fileName + ")" + " \/\/ Color: " + getColorNameOfIndex(midiConfigs[i].selectedColorIndex));
+                    try {
+                        addTrackAndChannelConfigs(midiConfigs[i]);
+                    } catch (error) {
+                        errors += getMidiFileError(midiConfigs[i], error);
+                    }
                 }
+                if (errors != "")
+                    alertMidiFileErrors(errors);
+                fillListBox();
+                projectFolderEditText.text = File.decode(selectedObject.name);
                 midiWndw.midiContainer.visible = true;
                 midiWndw.midiContainer.midiListBox.selection = 0;
             }
@@ -2164,12 +4720,12 @@ midiWndw.topContainer.add("button", undefined, "Select Folder").onClick = functi
         }
     }
 };
-midiWndw.topContainer.add("statictext", undefined, "Select a folder with MIDI files (.mid) inside.");
+midiWndw.topContainer.add("statictext", undefined, "Select a folder with MIDI files (.mid, .midi, .kar or .rmi) inside.");
 
 // midiContainer //
 
 midiWndw.midiContainer = midiWndw.add("Panel", undefined, "Config");
-midiWndw.midiContainer.preferredSize = [512, 512];
+midiWndw.midiContainer.preferredSize = [512, 640];
 midiWndw.midiContainer.alignChildren = "left";
 midiWndw.midiContainer.orientation = "column";
 midiWndw.midiContainer.visible = false;
@@ -2206,19 +4762,64 @@ midiNameGroup.add("edittext", [0, 0, 256, 24], undefined, {
 midiWndw.findElement("midiNameEditText").onChanging = function onTextChanged() {
     var selection = getSelectedIndices();
     for (var i = 0; i < selection.length; i++) {
-        midiConfigs[selection[i].index].name = this.text;
+        selection[i].node.name = this.text;
     }
     updateListBoxData();
 };
 var colorDropdownList = midiWndw.midiContainer.configGroup.add("DropdownList", [0, 0, 128, 24]);
-for (var i = 0; i < midiCustomSettings.presetColors.length; i++) {
-    colorDropdownList.add("Item", midiCustomSettings.presetColors[i].name);
-}
+updateColorDropdownList(false);
 colorDropdownList.onChange = function() {
-    setColorForSelectedConfigs(this.selection.index);
+    if (this.selection == null) // Happens while the items are replaced
+        return;
+    // "Inherit" is the first item for tracks and channels
+    setColorForSelectedConfigs(this.items[0].text == "Inherit" ? this.selection.index - 1 : this.selection.index);
 };
-midiWndw.halfSpeedCheckbox = midiWndw.midiContainer.configGroup.add("Checkbox", undefined, "Set to half speed");
-midiWndw.halfSpeedCheckbox.helpTip = "This halves the speed of all events (notes etc.). This is a temporary solution for MIDI files that somehow are at double speed.";
+
+var splitGroup = midiWndw.midiContainer.configGroup.add("group");
+splitGroup.orientation = "row";
+splitGroup.add("statictext", undefined, "Split Notes").helpTip = "Creates a separate notes and scroller comp for each track or MIDI channel, named after the track or instrument.\nEach of them uses the next color after the selected one.";
+var splitDropdownList = splitGroup.add("DropdownList", [0, 0, 128, 24], ["None", "Per Track", "Per Channel"]);
+splitDropdownList.onChange = function() {
+    setSplitModeForSelectedConfigs(this.selection.index);
+};
+
+var includeCheckBox = midiWndw.midiContainer.configGroup.add("CheckBox", undefined, "Include");
+includeCheckBox.helpTip = "Whether the notes are included in the visualizer. Excluding a file or track also excludes everything below it.";
+includeCheckBox.onClick = function() {
+    setIncludeForSelectedConfigs(this.value);
+};
+
+var filtersPanel = midiWndw.midiContainer.configGroup.add("Panel", undefined, "Filters");
+filtersPanel.orientation = "column";
+filtersPanel.alignChildren = "left";
+var filterEditTexts = new Object();
+
+function addFilterEditText(container, label, tooltip, property, isList) {
+    container.add("statictext", undefined, label).helpTip = tooltip;
+    var editText = container.add("edittext", [0, 0, isList ? 96 : 40, 24]);
+    editText.onChanging = function() {
+        var node = getSelectedIndices()[0].node;
+        if (isList) {
+            if (/^[\d\s,\-]*$/.test(this.text))
+                setFilterForSelectedConfigs(property, this.text);
+            else
+                this.text = node[property];
+        } else if (isNaN(this.text))
+            this.text = node[property];
+        else if (this.text != "")
+            setFilterForSelectedConfigs(property, parseFloat(this.text));
+    };
+    filterEditTexts[property] = editText;
+}
+
+var filterRow = filtersPanel.add("group");
+addFilterEditText(filterRow, "Exclude Channels", "MIDI channels (1 - 16) whose notes are skipped, like \"10\" for drums or \"1, 3-5\".", "excludedChannels", true);
+addFilterEditText(filterRow, "Exclude Tracks", "Tracks whose notes are skipped, counted from 1, like \"2\" or \"1, 3-5\".", "excludedTracks", true);
+filterRow = filtersPanel.add("group");
+addFilterEditText(filterRow, "Min. Pitch", "Notes below this pitch are skipped. 21 is A0.", "minPitch", false);
+addFilterEditText(filterRow, "Max. Pitch", "Notes above this pitch are skipped. 108 is C8.", "maxPitch", false);
+addFilterEditText(filterRow, "Min. Velocity", "Notes with a lower velocity (1 - 127) are skipped, like ghost notes.", "minVelocity", false);
+addFilterEditText(filterRow, "Min. Duration", "Notes that are shorter than this amount of seconds are skipped.", "minDuration", false);
 
 midiWndw.midiContainer.progressGroup = midiWndw.midiContainer.add("group");
 midiWndw.midiContainer.progressGroup.alignment = ["left", "bottom"];
@@ -2227,6 +4828,15 @@ midiWndw.midiContainer.progressGroup.alignChildren = "left";
 
 midiWndw.pb = ProgressBar(midiWndw.midiContainer.progressGroup);
 
+var projectFolderGroup = midiWndw.midiContainer.progressGroup.add("group");
+projectFolderGroup.orientation = "row";
+projectFolderGroup.add("statictext", undefined, "Project Folder");
+var projectFolderEditText = projectFolderGroup.add("edittext", [0, 0, 256, 24], "");
+projectFolderEditText.helpTip = "The generated comps and solids are put into a project folder with this name, with subfolders for the scrollers, notes, bar lines, piano keys and solids. Leave it empty to keep them in the project root.";
+
+var regenerateCheckBox = midiWndw.midiContainer.progressGroup.add("CheckBox", undefined, "Regenerate");
+regenerateCheckBox.helpTip = "Updates the comps that were created before instead of creating new ones. Their generated layers are replaced, the layers you added stay where they are. The Scroller and MIDI Controls nulls and the pre-comp layers in MidiMaster and PianoKeys are kept with your changes.";
+
 // footer //
 midiWndw.footer = midiWndw.add("group");
 midiWndw.footer.alignment = "fill";